@@ -1,7 +1,20 @@
-import { Stage, Layer, Arrow, Group } from 'konva';
+import {
+  Stage,
+  Layer,
+  Group,
+  Shape,
+  Rect,
+  Circle,
+  Line,
+  Label,
+  Tag,
+  Text,
+  Image as KonvaImage,
+  Animation,
+  Util
+} from 'konva';
 import EventBus from 'emitter';
 import { distanceBetween } from 'geometry';
-import { LastSectionDashLine } from 'konva-extra';
 import { on, off } from 'dom';
 import {
   STATE_PENDING,
@@ -14,18 +27,63 @@ import {
   displayConfirmation,
   displayGroup,
   displayCursorBalloon,
-  isDone,
   toggleSelectedGroup,
   isCircle
 } from '../_shared/el-common';
 import { eachPoint } from '../_shared/util';
+import { CATEGORY_POLY, CATEGORY_ARROW } from './shared';
 import {
-  CATEGORY_POLY,
-  CATEGORY_ARROW,
-  valueEquals,
+  DRAW_CONTINUE,
+  DRAW_COMPLETE,
+  DRAW_CLOSE,
+  DRAW_REJECT,
+  DRAW_IGNORE,
+  registerCategory,
+  getCategory,
+  eachCategory
+} from './categories';
+import {
+  validatePolygon,
+  pointInPolygon,
+  closestPointOnPolygon,
+  polygonCentroid,
+  simplifyPolygon,
+  RECT_CORNERS,
+  isRectangle,
+  rectFromCorners,
+  getRectFrame,
+  resizeRect,
+  rotateRect,
+  unionPolygons,
+  splitPolygon,
+  offsetPolygon
+} from './polygon';
+import {
+  cloneValue,
   ratio2px,
-  transformValue
-} from './shared';
+  px2ratio,
+  image2stage,
+  stage2image,
+  updateGroup,
+  valueEquals,
+  externalValueEquals
+} from './value';
+import { snapPoint } from './snapping';
+import { createMask } from './mask';
+import { parsePayload, registerMigration, toPayload } from './schema';
+import {
+  toGeoJSON,
+  fromGeoJSON,
+  toCOCO,
+  toLabelMe,
+  fromLabelMe
+} from './formats';
+
+// 图组 id 计数
+let uid = 0;
+
+// resize 后历史记录对应的和尺寸无关的坐标
+const canonicalCache = new WeakMap();
 
 // 初始化默认值
 const defaultShapeConfig = {
@@ -34,7 +92,41 @@ const defaultShapeConfig = {
   circleRadius: 5, // 边角圆圈的半径
   circleFill: '#FFFFFF', // 边角圆圈的填充色
   fill: 'rgba(23,195,147,0.2)', // 多边形区域填充
-  hoveredFill: 'rgba(23,195,147,0.5)' // 多边形区域填充
+  hoveredFill: 'rgba(23,195,147,0.5)', // 多边形区域填充
+  labelFontSize: 12, // 标签字号
+  labelColor: '#FFFFFF' // 标签文字颜色, 背景使用图形颜色
+};
+
+// 合并、分割等会增删图组的修改
+const ACTION_EDIT = 'edit';
+
+// 可以通过 setGroupMeta 修改的字段
+const META_KEYS = ['label', 'attributes', 'color', 'labelAnchor'];
+
+// 默认吸附配置
+const defaultSnapping = {
+  vertex: true, // 吸附其他图组的顶点
+  edge: true, // 吸附其他图组的边
+  grid: 0, // 网格大小, 0 表示不吸附
+  angle: 15, // 按住 Shift 时的角度步长
+  tolerance: 8 // 吸附半径, 屏幕像素
+};
+
+// 默认快捷键, 修饰键用 + 连接, 比如 Ctrl+Shift+Z
+const defaultKeyBindings = {
+  resolve: ['Enter'], // 确认修改, 或者闭合正在画的图形
+  skipStep: ['Shift+Enter'], // 跳过当前可选的图形
+  reject: ['Escape'], // 取消修改或者正在画的图形, 没有修改时取消选中
+  deleteGroup: ['Backspace'], // 删除选中的图组
+  deleteVertex: ['Delete'], // 删除选中的顶点
+  focusNext: ['Tab'], // 依次选中图组和图组内的顶点
+  focusPrev: ['Shift+Tab'],
+  nudgeLeft: ['ArrowLeft', 'Shift+ArrowLeft'], // 移动 1 像素, 按住 Shift 移动 10 像素
+  nudgeRight: ['ArrowRight', 'Shift+ArrowRight'],
+  nudgeUp: ['ArrowUp', 'Shift+ArrowUp'],
+  nudgeDown: ['ArrowDown', 'Shift+ArrowDown'],
+  undo: ['Ctrl+Z', 'Meta+Z'],
+  redo: ['Ctrl+Shift+Z', 'Meta+Shift+Z']
 };
 
 export default class Container extends EventBus {
@@ -46,8 +138,12 @@ export default class Container extends EventBus {
     this._props = {};
 
     const stage = new Stage(stageOpts);
+    const backgroundLayer = new Layer({ listening: false });
     const layer = new Layer();
+    const helperLayer = new Layer({ listening: false });
+    stage.add(backgroundLayer);
     stage.add(layer);
+    stage.add(helperLayer);
 
     // 内部状态控制
     resetInternalProps(this);
@@ -57,9 +153,39 @@ export default class Container extends EventBus {
       .set('value', [])
       .set('type', opts.type) // 自定义画图类型
       .set('drawable', opts.drawable) // 准备好开始画图
+      .set('readonly', !!opts.readonly) // 只读, 只能查看和 hover
+      .set('confirm', opts.confirm || 'manual') // 确认方式 manual, auto 或者 (group, points) => Promise<boolean>
+      .set('labelAnchor', opts.labelAnchor || 'centroid') // 标签位置 centroid, top, bottom 或 first
       .set('sides', opts.sides || 4) // 多边形限制几条边
+      .set('minSides', opts.minSides || (opts.maxSides ? 3 : 0)) // 可变边数时最少几条边
+      .set('maxSides', opts.maxSides || 0) // 可变边数时最多几条边, 0 表示不限制
+      .set('drawMode', opts.drawMode || 'click') // 多边形画法, click 逐点点击, 按住拖动的 lasso 徒手画, rect 矩形, rotatedRect 可旋转矩形
+      .set('lassoTolerance', opts.lassoTolerance || 2) // 徒手画简化路径的容差
+      .set('steps', parseSteps(opts.steps || [CATEGORY_POLY, CATEGORY_ARROW])) // 每个图组依次要画的图形分类
       .set('groups', opts.groups || 2) // 限制画多少分组
       .set('decimals', opts.decimals) // 小数位
+      .set('imageSpace', !!opts.imageSpace) // value 是否使用背景图片的原始像素坐标
+      .set('validation', Object.assign({ // 内置的图形校验规则
+        selfIntersection: true, // 不能自相交
+        minArea: 1, // 最小面积
+        minEdgeLength: 0, // 最短边长
+        convex: false // 必须是凸多边形
+      }, opts.validation))
+      .set('validate', opts.validate) // 自定义校验 (group, points) => boolean|string
+      .set('boundary', opts.boundary) // 画图边界, 'stage', 'image', { x, y, width, height } 或多边形坐标
+      .set('zoomable', !!opts.zoomable) // 是否可以滚轮缩放和拖动平移
+      .set('autoResize', !!opts.autoResize) // 面板尺寸变化时自动 resize, 面板尺寸需要由样式决定
+      .set('resizeDelay', opts.resizeDelay || 100) // 自动 resize 的防抖时间
+      .set('canonicalValue', null) // 上次 resize 时和尺寸无关的 value
+      .set('minScale', opts.minScale || 0.1) // 最小缩放比例
+      .set('maxScale', opts.maxScale || 20) // 最大缩放比例
+      .set('historySize', opts.historySize || 50) // 最多保留多少步历史记录
+      .set('touchTolerance', opts.touchTolerance || 12) // 触摸时环和闭合点的命中半径
+      .set('longPressDelay', opts.longPressDelay || 500) // 长按选中图组的时长
+      .set('keyBindings', parseKeyBindings(opts.keyBindings)) // 快捷键, 覆盖 defaultKeyBindings 中的同名操作
+      .set('snapping', opts.snapping // 吸附, true 或者覆盖 defaultSnapping 的配置
+        ? Object.assign({}, defaultSnapping, opts.snapping)
+        : null)
       .set('shapeConfig', opts.shapeConfig || {}) // 图形参数配置
       .set('defaultShapeConfig', opts.defaultShapeConfig || defaultShapeConfig); // 默认图形参数配置
 
@@ -67,14 +193,37 @@ export default class Container extends EventBus {
     this
       .set('stage', stage)
       .set('layer', layer)
+      .set('backgroundLayer', backgroundLayer)
+      .set('helperLayer', helperLayer) // 辅助图层, 比如框选
+      .set('selectedGroups', []) // 多选的图组
+      .set('background', null)
+      .set('pendingValue', null) // 等待背景加载后再设置的 value
       .set('panelEl', stageOpts.container)
       .set('cursorBalloonEl', opts.cursorBalloonEl)
       .set('confirmationEl', opts.confirmationEl);
 
+    // 指针类型
+    this
+      .set('pointerType', 'mouse')
+      .set('lastTouchTime', 0)
+      .set('pointerPosition', null)
+      .set('focusedCircle', null) // 键盘选中的顶点
+      .set('cutting', null); // 等待拖出分割线的图组 id
+
+    // 历史记录
+    resetHistory(this);
+
     onDraw(this); // 监听画图
     onDrag(this); // 监听拖拽
     onRectify(this); // 监听调整大小
+    onRectHandles(this); // 监听矩形的缩放和旋转手柄
+    onEditVertex(this); // 监听增删顶点
     onManipulate(this); // 监听鼠标操作
+    onSelectGroups(this); // 监听多选
+    onCut(this); // 监听拖出分割线
+    onKeyboard(this); // 监听键盘操作
+    onZoom(this); // 监听缩放和平移
+    onAutoResize(this); // 监听面板尺寸变化
     return this;
   }
 
@@ -88,6 +237,7 @@ export default class Container extends EventBus {
 
     this.emit('beforeDestroy');
 
+    removeBackground(this);
     this.get('stage').destroy();
     delete this._props;
 
@@ -122,32 +272,58 @@ export default class Container extends EventBus {
     if (!this.initialized) {
       return false;
     }
+
+    // 面板隐藏时尺寸为 0, 缩放后坐标无法还原
+    if (!width || !height) {
+      return false;
+    }
+
     const stage = this.get('stage');
     const lastWidth = stage.width();
     const lastHeight = stage.height();
+    if (width === lastWidth && height === lastHeight) {
+      return false;
+    }
+
+    // 坐标先转换到和尺寸无关的空间, 有背景时为图片坐标, 否则为比例坐标
+    const background = this.get('background');
+    const space = background || 'ratio';
+    const toCanonical = background
+      ? (n) => stage2image(n, background)
+      : (n) => px2ratio(n, lastWidth, lastHeight);
+    const value = getCanonicalValue(this, space, toCanonical);
+    const history = this.get('history').map((entry) => {
+      const cache = canonicalCache.get(entry);
+      return cache && cache.space === space ? cache.value : toCanonical(entry);
+    });
 
-    if (width !== lastWidth || height !== lastHeight) {
-      stage.width(width);
-      stage.height(height);
-
-      const ratioW = width / lastWidth;
-      const ratioH = height / lastHeight;
-      const value = this.get('value');
-      const convertPoints = (n, j) => {
-        return n * (j % 2 ? ratioH : ratioW);
-      };
-
-      return setValue(this, value.map((point) => {
-        return {
-          type: point.type,
-          points: point.points.map(convertPoints),
-          direction: point.direction.map(convertPoints)
-        };
-      }));
+    stage.width(width);
+    stage.height(height);
+    if (background) {
+      layoutBackground(this);
     }
-    return false;
+
+    const fromCanonical = background
+      ? (n) => image2stage(n, background)
+      : (n) => ratio2px(n, width, height);
+
+    // 历史记录也要同步缩放
+    this.set('history', history.map((entry) => {
+      const pixelValue = fromCanonical(entry);
+      canonicalCache.set(pixelValue, { space, value: entry });
+      return pixelValue;
+    }));
+
+    const changed = setValue(this, fromCanonical(value));
+    this.set('canonicalValue', {
+      space,
+      value,
+      pixelValue: cloneValue(this.get('value'))
+    });
+    return changed;
   }
 
+
   /**
    * 设置坐标
    *
@@ -159,670 +335,4446 @@ export default class Container extends EventBus {
       return false;
     }
 
-    if (this.get('decimals')) {
-      const stage = this.get('stage');
-      newValue = ratio2px(newValue, stage.width(), stage.height());
+    // 升级旧版本并校验结构, 不合法时不设置
+    const { value, errors } = parsePayload(newValue);
+    if (errors.length) {
+      this.emit('valueError', errors, this);
+      return false;
     }
-    else {
-      newValue = newValue.slice(0); // 避免操作原始值
+    newValue = value;
+
+    // 背景加载完才能转换坐标
+    if (this.get('imageSpace') && !this.get('background')) {
+      this.set('pendingValue', newValue);
+      return false;
+    }
+
+    // 在对外的坐标下比较, 受控组件传回 change 的值时不会因为转换误差重绘并清空历史记录
+    if (externalValueEquals(newValue, this.get('value'), (n) => exportValue(this, n))) {
+      return false;
     }
+    newValue = toInternalValue(this, newValue);
 
-    return setValue(this, newValue);
+    if (!setValue(this, newValue)) {
+      return false;
+    }
+
+    // 外部设置的值作为新的历史起点
+    resetHistory(this);
+    return true;
   }
 
   /**
-   * 在界面上绘制图形
+   * 导出带版本号的 value, 可以直接传给 setValue
+   *
+   * @returns {object|null}
    */
-  draw() {
+  toPayload() {
     if (!this.initialized) {
-      return this;
+      return null;
     }
-    this.get('layer').batchDraw();
-    return this;
+    return toPayload(exportValue(this, this.get('value')));
   }
 
   /**
-   * 删除选中的图形组
+   * 导出 GeoJSON, 坐标为像素坐标, 方向等其他字段放在 properties
+   *
+   * @returns {object|null}
    */
-  deleteSelectedGroup() {
+  toGeoJSON() {
     if (!this.initialized) {
-      return this;
+      return null;
     }
+    return toGeoJSON(getPixelValue(this));
+  }
 
-    const selectedGroup = this.get('selectedGroup');
-    if (selectedGroup) {
-      const type = selectedGroup.name();
-
-      selectedGroup.destroy();
-      this.get('layer').batchDraw();
-
-      displayConfirmation(this);
-
-      const drews = this.get('state')
-        ? this.get('drews')
-        : this.get('drews') - 1;
-
-      resetInternalProps(this)
-        .set('drews', drews);
-
-      // 转换 value
-      const newValue = transformValue(
-        this,
-        updateValue(this, type), // 删除并更新 value
-      );
-
-      this.emit('delete', type, newValue, this);
-      this.emit('change', newValue, this);
+  /**
+   * 从 GeoJSON 设置 value
+   *
+   * @param {object} geojson
+   * @returns {boolean}
+   */
+  fromGeoJSON(geojson) {
+    if (!this.initialized || !geojson) {
+      return false;
     }
-    return this;
+    return setPixelValue(this, fromGeoJSON(geojson));
   }
 
   /**
-   * 是否画完一套图形
+   * 导出 COCO 格式的分割标注
+   *
+   * @param {object} [opts] 参数见 formats.js, 默认使用背景图片或者画布的尺寸
+   * @returns {object|null}
    */
-  isDone() {
-    return isDone(this);
+  toCOCO(opts = {}) {
+    if (!this.initialized) {
+      return null;
+    }
+    return toCOCO(getPixelValue(this), Object.assign(getPixelSize(this), opts));
   }
 
   /**
-   * 确定调整
+   * 导出 LabelMe 格式
+   *
+   * @param {object} [opts] 参数见 formats.js, 默认使用背景图片或者画布的尺寸
+   * @returns {object|null}
    */
-  resolveChanges() {
-    resolveChanges(this, true);
+  toLabelMe(opts = {}) {
+    if (!this.initialized) {
+      return null;
+    }
+    return toLabelMe(getPixelValue(this), Object.assign(getPixelSize(this), opts));
   }
 
   /**
-   * 取消调整
+   * 从 LabelMe 格式设置 value
+   *
+   * @param {object} json
+   * @returns {boolean}
    */
-  rejectChanges() {
-    resolveChanges(this, false);
+  fromLabelMe(json) {
+    if (!this.initialized || !json) {
+      return false;
+    }
+    return setPixelValue(this, fromLabelMe(json));
   }
 
-  get initialized() {
-    return !!this._props;
+  /**
+   * 导出图片, 有背景时默认按背景图片的原始分辨率导出背景区域
+   *
+   * @param {object} [opts] 其他参数同 Konva 的 toDataURL
+   * @param {boolean} [opts.circles=true] 是否显示顶点的环
+   * @param {boolean} [opts.hover=true] 是否显示 hover 的填充
+   * @returns {string|null}
+   */
+  toDataURL(opts = {}) {
+    if (!this.initialized) {
+      return null;
+    }
+    return renderStage(this, opts, (config) => this.get('stage').toDataURL(config));
   }
-}
-
-/**
- * 监听画图
- * @param {Container} container
- */
-function onDraw(container) {
-  const stage = container.get('stage');
-  const layer = container.get('layer');
 
-  // 准备画图
-  stage.on('mousedown', (evt) => {
-    const { target } = evt;
-    if (!canDraw(container, target)) {
-      // 选中图组
-      toggleSelectedGroup(container, target);
-      return;
+  /**
+   * 导出图片 Blob, 参数同 toDataURL
+   *
+   * @param {object} [opts]
+   * @returns {Promise<Blob>} 未初始化或者导出失败时 reject
+   */
+  toBlob(opts = {}) {
+    if (!this.initialized) {
+      return Promise.reject(new Error('Container 未初始化'));
     }
 
-    // 取消之前选中的图组
-    toggleSelectedGroup(container, target);
+    // 画布导出出错 (比如跨域图片污染了画布) 时同样 reject
+    return new Promise((resolve, reject) => {
+      const canvas = renderStage(this, opts, (config) => this.get('stage').toCanvas(config));
+      if (!canvas || !canvas.toBlob) {
+        reject(new Error('画布不可用'));
+        return;
+      }
+      canvas.toBlob((blob) => {
+        if (blob) {
+          resolve(blob);
+        }
+        else {
+          reject(new Error('导出图片失败'));
+        }
+      }, opts.mimeType, opts.quality);
+    });
+  }
 
-    let category = container.get('category');
-    // 默认先画矩形
-    if (!category) {
-      container.set('category', category = CATEGORY_POLY);
+  /**
+   * 根据 value 中的多边形生成掩码
+   *
+   * @param {object} [opts]
+   * @param {number} [opts.width] 掩码宽度, 默认为背景图片或者画布的宽度
+   * @param {number} [opts.height] 掩码高度
+   * @param {string[]} [opts.types] 按 type 生成标签, 不传时为二值掩码
+   * @returns {{width: number, height: number, data: Uint8Array, labels: object}|null}
+   */
+  toMask(opts = {}) {
+    if (!this.initialized) {
+      return null;
     }
 
-    // 获取当前坐标
-    let { x, y } = stage.getPointerPosition();
-    x = Math.round(x);
-    y = Math.round(y);
-
-    const action = container.get('action');
-    if (!action) {
-      const type = container.get('type');
-      // 当前图形配置
-      const currentShapeConfig = type ? container.get('shapeConfig')[type] : container.get('defaultShapeConfig');
-
-      // 画图前触发
-      container.emit('beforeDraw', evt, container);
-
-      container
-        .set('state', STATE_DRAWING)
-        .set('action', ACTION_DRAW);
-
-      let group;
-      let shape;
-
-      checkCategory(category, () => {
-        group = new Group({
-          name: type
-          // draggable: true,
-        });
-
-        // 暂存图形配置
-        group.__shapeConfig = currentShapeConfig;
-
-        // 初始化多边形
-        const polyConfig = {
-          name: category,
-          stroke: currentShapeConfig.stroke,
-          strokeWidth: currentShapeConfig.strokeWidth,
-          points: [x, y]
-        };
-        if (currentShapeConfig.dash) {
-          polyConfig.dash = currentShapeConfig.dash;
-        }
+    const size = getPixelSize(this);
+    const width = opts.width || size.width;
+    const height = opts.height || size.height;
+    return createMask(getPixelValue(this), {
+      width,
+      height,
+      types: opts.types,
+      scaleX: width / size.width,
+      scaleY: height / size.height
+    });
+  }
 
-        shape = new LastSectionDashLine(polyConfig);
-      }, () => {
-        group = container.get('prevShape').getParent();
-
-        // 初始化箭头
-        shape = new Arrow({
-          name: category,
-          stroke: currentShapeConfig.stroke,
-          strokeWidth: currentShapeConfig.strokeWidth,
-          points: [x, y],
-          pointerAtBeginning: !!currentShapeConfig.pointerAtBeginning,
-          fill: currentShapeConfig.stroke
-          // pointerLength: 14,
-          // pointerWidth: 16,
-        });
-      });
+  /**
+   * 设置背景图片或视频, 显示在图形下面
+   *
+   * @param {string|HTMLImageElement|HTMLVideoElement} source 图片地址或者元素
+   * @param {object} [opts]
+   * @param {string} [opts.fit='contain'] 填充方式 contain, cover 或 fill
+   * @param {string} [opts.crossOrigin] 图片地址跨域时设置
+   * @returns {Promise<Container>} 加载完成后 resolve
+   */
+  setBackground(source, opts = {}) {
+    if (!this.initialized) {
+      return Promise.resolve(this);
+    }
+    return setBackground(this, source, opts).then(() => this);
+  }
 
-      container
-        .set('step', 1)
-        .set('currentPoints', [x, y])
-        .set('currentShape', shape);
+  /**
+   * 移除背景
+   */
+  removeBackground() {
+    if (!this.initialized) {
+      return this;
+    }
+    removeBackground(this);
+    this.get('backgroundLayer').batchDraw();
+    return this;
+  }
 
-      group.add(shape);
+  /**
+   * 缩放画布
+   *
+   * @param {number} scale 缩放比例
+   * @param {{x: number, y: number}} [center] 缩放后居中的图层坐标, 默认保持当前中心
+   */
+  zoomTo(scale, center) {
+    if (!this.initialized) {
+      return this;
+    }
+    zoomTo(this, scale, center);
+    return this;
+  }
 
-      // 上环
-      layer.add(
-        addCircle(group, category, 0, currentShapeConfig, x, y, true, false)
-      );
-      layer.batchDraw();
+  /**
+   * 缩放平移画布以完整显示图形区域
+   */
+  fitToView() {
+    if (!this.initialized) {
+      return this;
+    }
+    fitToView(this);
+    return this;
+  }
 
-      // 隐藏气泡
-      displayCursorBalloon(container);
+  /**
+   * 在界面上绘制图形
+   */
+  draw() {
+    if (!this.initialized) {
+      return this;
     }
-    else {
-      const sides = container.get('sides');
-      const currentShape = container.get('currentShape');
-      const currentPoints = container.get('currentPoints');
-      const group = currentShape.getParent();
-      const currentShapeConfig = group.__shapeConfig;
-
-      // 画多边形到最后
-      if (category === CATEGORY_POLY && currentPoints.length === sides * 2) {
-        // 获取第一个多边形相关的环
-        const firstCircle = group.findOne((node) => {
-          return node.name() === CATEGORY_POLY
-                && node.getClassName() === 'Circle'
-                && node.__pointStart === 0;
-        });
-        const x2 = firstCircle.x();
-        const y2 = firstCircle.y();
-
-        // 第一个坐标点的方圆5像素内才算法闭合
-        if (distanceBetween(x, y, x2, y2) <= 5) {
-          container
-            .set('state', STATE_PENDING)
-            .set('selectedGroup', group);
-
-          group.draggable(true);
-          currentShape
-            .points(currentPoints)
-            .lastDashEnabled(false)
-            .closed(true)
-            .fill(currentShapeConfig.fill);
-
-          group.__prePoints = currentPoints;
-
-          group.getChildren((node) => {
-            if (isCircle(node)) {
-              node.draggable(true);
-            }
-          });
+    this.get('layer').batchDraw();
+    return this;
+  }
 
-          layer.batchDraw();
+  /**
+   * 切换多边形画法
+   *
+   * @param {string} mode click, lasso, rect 或 rotatedRect
+   * @returns {boolean} 是否设置成功
+   */
+  setDrawMode(mode) {
+    // 画图中不能切换
+    if (!this.initialized || this.get('action') === ACTION_DRAW) {
+      return false;
+    }
+    this.set('drawMode', mode);
+    return true;
+  }
 
-          // 显示确认浮层
-          displayConfirmation(container, currentPoints);
+  /**
+   * 删除选中的图形组
+   */
+  deleteSelectedGroup() {
+    if (!this.initialized) {
+      return this;
+    }
 
-          // 画完一个多边形后确认提示
-          container.emit('confirm');
-        }
-        return;
+    // 多选时一起删除, 锁定的图组不删除
+    const selectedGroups = this.get('selectedGroups');
+    if (selectedGroups.length) {
+      const groups = selectedGroups.filter((group) => !isGroupLocked(this, group));
+      if (groups.length) {
+        clearSelectedGroups(this);
+        removeGroups(this, groups);
       }
+      return this;
+    }
 
-      // 上环
-      addCircle(
-        group, category, currentPoints.length, currentShapeConfig, x, y, true, false
-      );
+    const selectedGroup = this.get('selectedGroup');
+    if (selectedGroup && !isGroupLocked(this, selectedGroup)) {
+      removeGroups(this, [selectedGroup]);
+    }
+    return this;
+  }
 
-      currentPoints.push(x, y);
-      currentShape
-        .points(currentPoints)
-        .lastDashEnabled(false);
-      layer.batchDraw();
+  /**
+   * 设置图组的标签、属性和颜色, 值为 undefined 或 null 时删除
+   *
+   * @param {string} id
+   * @param {object} meta
+   * @param {string} [meta.label] 显示在图形上的标签
+   * @param {object} [meta.attributes] 自定义属性
+   * @param {string} [meta.color] 图形颜色, 覆盖 shapeConfig
+   * @param {string} [meta.labelAnchor] 标签位置, 覆盖 initialize 的 labelAnchor
+   * @returns {boolean} 是否设置成功
+   */
+  setGroupMeta(id, meta) {
+    if (!this.initialized || !meta) {
+      return false;
+    }
+    return setGroupMeta(this, id, meta);
+  }
 
-      container.set('step', container.get('step') + 1);
+  /**
+   * 设置只读模式
+   *
+   * @param {boolean} readonly
+   * @returns {boolean} 是否设置成功
+   */
+  setReadonly(readonly) {
+    // 未确定的状态不能切换
+    if (!this.initialized || this.get('state') || this.get('action')) {
+      return false;
+    }
 
-      // 异常情况画箭头处理
-      if (category !== CATEGORY_ARROW) {
-        return;
+    this.set('readonly', !!readonly);
+    if (readonly) {
+      if (this.get('cutting')) {
+        endCutting(this);
       }
-
-      // 距离小于5像素被认为是不合法操作
-      if (distanceBetween(x, y, currentPoints[0], currentPoints[1]) < 5) {
-        rejectDrewArrow(container);
-        return;
+      clearSelectedGroups(this);
+      if (this.get('selectedGroup')) {
+        toggleSelectedGroup(this, this.get('stage'));
       }
+    }
 
-      group.__preDirection = currentPoints;
+    const layer = this.get('layer');
+    layer.getChildren((group) => {
+      applyGroupFlags(this, group);
+    });
+    layer.batchDraw();
+    return true;
+  }
 
-      container
-        .set('state', STATE_PENDING);
+  /**
+   * 锁定图组, 锁定后不能拖动、调整和删除
+   *
+   * @param {string} id
+   * @param {boolean} [locked=true] false 时解锁
+   * @returns {boolean} 是否设置成功
+   */
+  lockGroup(id, locked = true) {
+    if (!this.initialized) {
+      return false;
+    }
+    return setGroupFlag(this, id, 'locked', !!locked);
+  }
 
-      group.getChildren((node) => {
-        if (isCircle(node)) {
-          node.draggable(true);
+  /**
+   * 隐藏图组
+   *
+   * @param {string} id
+   * @param {boolean} [hidden=true] false 时显示
+   * @returns {boolean} 是否设置成功
+   */
+  hideGroup(id, hidden = true) {
+    if (!this.initialized) {
+      return false;
+    }
+    return setGroupFlag(this, id, 'visible', !hidden);
+  }
+
+  /**
+   * 获取图组的 value
+   *
+   * @param {string} id
+   * @returns {object|undefined}
+   */
+  getGroup(id) {
+    if (!this.initialized) {
+      return undefined;
+    }
+    const item = this.get('value').find((n) => n.id === id);
+    return item && exportValue(this, [item])[0];
+  }
+
+  /**
+   * 选中图组
+   *
+   * @param {string} id
+   * @returns {boolean} 是否选中
+   */
+  selectGroup(id) {
+    if (!this.initialized) {
+      return false;
+    }
+
+    const group = findGroup(this, id);
+    // 未确定的状态不能切换
+    if (!group || this.get('state') || this.get('action')) {
+      return false;
+    }
+
+    if (group !== this.get('selectedGroup')) {
+      toggleSelectedGroup(this, group.findOne(isShape));
+      this.get('layer').batchDraw();
+    }
+    return this.get('selectedGroup') === group;
+  }
+
+  /**
+   * 删除图组, 锁定的图组不能删除
+   *
+   * @param {string} id
+   * @returns {boolean} 是否删除
+   */
+  removeGroup(id) {
+    if (!this.initialized) {
+      return false;
+    }
+
+    const group = findGroup(this, id);
+    if (!group || isGroupLocked(this, group)) {
+      return false;
+    }
+    removeGroups(this, [group]);
+    return true;
+  }
+
+  /**
+   * 合并多个图组的多边形, 合并后保留第一个图组的其他字段, 确认后删除其余的图组
+   *
+   * @param {string[]} [ids] 默认为多选的图组
+   * @returns {boolean} 是否可以合并, 多边形不相交时不能合并
+   */
+  mergeGroups(ids) {
+    if (!this.initialized) {
+      return false;
+    }
+    return mergeGroups(this, ids || this.get('selectedGroups').map((group) => group.id()));
+  }
+
+  /**
+   * 沿线段把图组的多边形分成两个图组, 新图组复制原图组的其他字段
+   *
+   * @param {string} id
+   * @param {number[]} [line] [x1, y1, x2, y2], 和 value 使用相同的坐标, 不传时由用户在画布上拖出分割线
+   * @returns {boolean} 是否可以分割
+   */
+  splitGroup(id, line) {
+    if (!this.initialized) {
+      return false;
+    }
+
+    const group = findGroup(this, id);
+    if (!canEditGroups(this, [group])) {
+      return false;
+    }
+    if (!line) {
+      startCutting(this, group);
+      return true;
+    }
+    // 背景加载完才能转换坐标
+    if (this.get('imageSpace') && !this.get('background')) {
+      return false;
+    }
+
+    const [{ points }] = toInternalValue(this, [{ points: line }]);
+    return splitGroup(this, group, points);
+  }
+
+  /**
+   * 多边形向外扩张或向内收缩, 扩张后超出边界时触发 outOfBoundary 并且不调整
+   *
+   * @param {string} id
+   * @param {number} distance 画布像素, 正数向外扩张, 负数向内收缩
+   * @returns {boolean} 是否可以调整
+   */
+  offsetGroup(id, distance) {
+    if (!this.initialized || !distance) {
+      return false;
+    }
+    return reshapeGroup(this, id, (points) => offsetPolygon(points, distance));
+  }
+
+  /**
+   * 简化多边形, 去掉离简化后的边不超过 tolerance 的顶点, 仅用于可变边数的多边形
+   *
+   * @param {string} id
+   * @param {number} [tolerance=2] 画布像素
+   * @returns {boolean} 是否减少了顶点
+   */
+  simplifyGroup(id, tolerance = 2) {
+    if (!this.initialized || !this.get('minSides')) {
+      return false;
+    }
+    return reshapeGroup(this, id, (points) => {
+      const simplified = simplifyPolygon(points, tolerance);
+      return simplified.length < points.length
+        && simplified.length / 2 >= this.get('minSides')
+        ? simplified
+        : null;
+    });
+  }
+
+  /**
+   * 撤销上一步修改
+   *
+   * @returns {boolean} 是否撤销成功
+   */
+  undo() {
+    if (!this.initialized) {
+      return false;
+    }
+    return goHistory(this, -1);
+  }
+
+  /**
+   * 恢复上一步撤销
+   *
+   * @returns {boolean} 是否恢复成功
+   */
+  redo() {
+    if (!this.initialized) {
+      return false;
+    }
+    return goHistory(this, 1);
+  }
+
+  /**
+   * 是否可以撤销
+   */
+  canUndo() {
+    return this.initialized && this.get('historyIndex') > 0;
+  }
+
+  /**
+   * 是否可以恢复
+   */
+  canRedo() {
+    return this.initialized && this.get('historyIndex') < this.get('history').length - 1;
+  }
+
+  /**
+   * 是否画完一套图形, 剩下的都是可选图形的图组也算画完
+   */
+  isDone() {
+    return this.initialized && countCompleteGroups(this) >= this.get('groups');
+  }
+
+  /**
+   * 跳过当前可选的图形, 比如不画方向
+   *
+   * @returns {boolean} 是否跳过
+   */
+  skipStep() {
+    if (!this.initialized) {
+      return false;
+    }
+    return skipStep(this);
+  }
+
+  /**
+   * 确定调整
+   */
+  resolveChanges() {
+    resolveChanges(this, true);
+  }
+
+  /**
+   * 取消调整
+   */
+  rejectChanges() {
+    resolveChanges(this, false);
+  }
+
+  get initialized() {
+    return !!this._props;
+  }
+
+  /**
+   * 注册自定义图形分类, 参数见 categories.js
+   *
+   * @param {string} name
+   * @param {object} handlers
+   */
+  static registerCategory(name, handlers) {
+    registerCategory(name, handlers);
+    return this;
+  }
+
+  /**
+   * 注册 value 的升级函数, 参数见 schema.js
+   *
+   * @param {number} version 原版本号
+   * @param {function} fn
+   */
+  static registerMigration(version, fn) {
+    registerMigration(version, fn);
+    return this;
+  }
+}
+
+/**
+ * 监听画图
+ * @param {Container} container
+ */
+function onDraw(container) {
+  const stage = container.get('stage');
+  const layer = container.get('layer');
+
+  // 准备画图
+  stage.on('mousedown touchstart', (evt) => {
+    if (detectPointer(container, evt)
+        || container.get('readonly')
+        || container.get('cutting') // 正在拖出分割线
+        || isPanTrigger(container, evt)
+        || (!container.get('action') && isMultiSelectEvent(evt))) { // 多选由 onSelectGroups 处理
+      return;
+    }
+
+    const { target } = evt;
+    const touched = container.get('pointerType') === 'touch';
+    if (!canDraw(container, target)) {
+      // 选中图组, 触摸时由长按选中, 点击多选中的图组时保持多选
+      if ((!touched || target === stage) && !isInSelection(container, target)) {
+        toggleSelectedGroup(container, target);
+      }
+      return;
+    }
+
+    // 画图时阻止页面滚动
+    if (touched) {
+      evt.evt.preventDefault();
+    }
+
+    // 取消之前选中的图组
+    toggleSelectedGroup(container, target);
+
+    let category = container.get('category');
+    // 默认先画第一步的图形
+    if (!category) {
+      container.set('category', category = container.get('steps')[0].category);
+    }
+    const handler = getCategory(category);
+
+    // 获取当前坐标, 拿不到坐标时不处理
+    const pointer = getPointerPosition(container);
+    if (!pointer) {
+      return;
+    }
+    const { x, y } = snapPosition(
+      container,
+      pointer,
+      evt,
+      getDrawingGroup(container),
+      getDrawAnchor(container),
+    );
+
+    // 边界外不能画图
+    if (!isInBoundary(container, x, y)) {
+      container.emit('outOfBoundary', { x, y }, container);
+      return;
+    }
+
+    const action = container.get('action');
+    if (!action) {
+      const type = container.get('type');
+      // 当前图形配置
+      const currentShapeConfig = type ? container.get('shapeConfig')[type] : container.get('defaultShapeConfig');
+
+      // 画图前触发
+      container.emit('beforeDraw', evt, container);
+
+      container
+        .set('state', STATE_DRAWING)
+        .set('action', ACTION_DRAW);
+
+      let group;
+      const prevShape = container.get('prevShape');
+      if (prevShape) {
+        group = prevShape.getParent();
+      }
+      else {
+        group = new Group({
+          id: createId(),
+          name: type
+          // draggable: true,
+        });
+
+        // 暂存图形配置
+        group.__shapeConfig = currentShapeConfig;
+        // 暂存坐标
+        group.__value = {};
+        group.__preValue = {};
+        group.__skipped = {};
+      }
+
+      const shape = handler.create(currentShapeConfig, [x, y], false);
+
+      container
+        .set('step', 1)
+        .set('currentPoints', [x, y])
+        .set('currentShape', shape);
+
+      group.add(shape);
+      addMidpoints(container, group, category);
+      addRectHandles(container, group, category);
+
+      // 上环
+      layer.add(
+        addGroupCircle(container, group, category, 0, currentShapeConfig, x, y, true, false)
+      );
+      keepScreenSize(container, group);
+      layer.batchDraw();
+
+      // 隐藏气泡
+      displayCursorBalloon(container);
+    }
+    // 拖动画图时在画布外松开, 再次按下时直接画完
+    else if (isDragDrawing(container)) {
+      completeDragDraw(container);
+    }
+    else {
+      const currentPoints = container.get('currentPoints');
+      const result = handler.draw(container, currentPoints, x, y, drawTolerance(container));
+      applyDrawResult(container, result, x, y, false);
+    }
+  });
+
+  // 用于处理拖拽画图完成, 比如箭头
+  stage.on('mouseup touchend', (evt) => {
+    if (detectPointer(container, evt)) {
+      return;
+    }
+
+    // 拖动画图松开时画完
+    if (isDragDrawing(container)) {
+      completeDragDraw(container);
+      return;
+    }
+
+    const category = container.get('category');
+    // 不能画或者不需要处理松开的时候不处理
+    if (!(container.get('action') === ACTION_DRAW
+        && container.get('state') === STATE_DRAWING
+        && getCategory(category).release)) {
+      return;
+    }
+
+    // 松开时超出边界就贴着边界
+    const pointer = getPointerPosition(container);
+    if (!pointer) {
+      return;
+    }
+    const { x, y } = snapPosition(
+      container,
+      pointer,
+      evt,
+      getDrawingGroup(container),
+      getDrawAnchor(container),
+    );
+    const currentPoints = container.get('currentPoints');
+    const result = getCategory(category).release(
+      container, currentPoints, x, y, drawTolerance(container)
+    );
+    applyDrawResult(container, result, x, y, true);
+  });
+
+  // 松开时隐藏吸附辅助线
+  stage.on('mouseup touchend', () => {
+    displaySnapGuides(container);
+  });
+
+  // 画图中
+  stage.on('mousemove touchmove', (evt) => {
+    // 当正在画图时才触发
+    if (detectPointer(container, evt)
+        || !(container.get('action') === ACTION_DRAW
+        && container.get('state') === STATE_DRAWING)) {
+      return;
+    }
+
+    // 画图时阻止页面滚动
+    if (container.get('pointerType') === 'touch') {
+      evt.evt.preventDefault();
+    }
+
+    // 拖动画图不吸附
+    if (isDragDrawing(container)) {
+      moveDragDraw(container);
+      return;
+    }
+
+    const pointer = getPointerPosition(container);
+    if (!pointer) {
+      return;
+    }
+    const { x, y } = snapPosition(
+      container,
+      pointer,
+      evt,
+      getDrawingGroup(container),
+      getDrawAnchor(container),
+    );
+
+    // 实时画图
+    const currentShape = container.get('currentShape');
+    const currentPoints = container.get('currentPoints');
+    // 下次点击才记录点坐标
+    currentShape.points(currentPoints.concat(x, y));
+    if (currentShape.lastDashEnabled) {
+      currentShape.lastDashEnabled(true);
+    }
+    layer.batchDraw();
+  });
+
+  return container;
+}
+
+/**
+ * 是否正在按住拖动画多边形, 比如徒手画和矩形
+ *
+ * @param {Container} container
+ * @returns {boolean}
+ */
+function isDragDrawing(container) {
+  return container.get('drawMode') !== 'click'
+    && container.get('category') === CATEGORY_POLY
+    && container.get('action') === ACTION_DRAW
+    && container.get('state') === STATE_DRAWING;
+}
+
+/**
+ * 拖动画图中, 徒手画记录指针路径, 矩形预览对角拉出的框, 都贴着边界
+ *
+ * @param {Container} container
+ */
+function moveDragDraw(container) {
+  const pointer = getPointerPosition(container);
+  if (!pointer) {
+    return;
+  }
+  const { x, y } = clampPoint(container, pointer);
+  const currentShape = container.get('currentShape');
+  const currentPoints = container.get('currentPoints');
+  const l = currentPoints.length;
+
+  if (container.get('drawMode') !== 'lasso') {
+    // 松开时才确定, 补上起点显示闭合的框
+    const rect = rectFromCorners(currentPoints[0], currentPoints[1], x, y);
+    currentShape.points(rect.concat(rect[0], rect[1]));
+  }
+  else {
+    // 移动太少时不记录, 距离按屏幕像素计算
+    const minDistance = 2 / container.get('stage').scaleX();
+    if (distanceBetween(x, y, currentPoints[l - 2], currentPoints[l - 1]) < minDistance) {
+      return;
+    }
+    currentPoints.push(x, y);
+    currentShape.points(currentPoints);
+  }
+  container.get('layer').batchDraw();
+}
+
+/**
+ * 拖动画完, 徒手画的路径简化后闭合成多边形, 之后和点击画完的多边形一样等待确认
+ *
+ * @param {Container} container
+ */
+function completeDragDraw(container) {
+  const currentShape = container.get('currentShape');
+  const currentPoints = container.get('currentPoints');
+  const group = currentShape.getParent();
+
+  let points;
+  let invalid;
+  if (container.get('drawMode') === 'lasso') {
+    points = simplifyPolygon(currentPoints, container.get('lassoTolerance'));
+    // 不足 3 个点不能构成多边形
+    invalid = points.length < 6;
+  }
+  else {
+    const pointer = getPointerPosition(container);
+    // 拿不到松开的坐标时当作误操作
+    const { x, y } = pointer
+      ? clampPoint(container, pointer)
+      : { x: currentPoints[0], y: currentPoints[1] };
+    points = rectFromCorners(currentPoints[0], currentPoints[1], x, y);
+    // 太小的矩形被认为是误操作
+    const tolerance = drawTolerance(container);
+    invalid = points[2] - points[0] < tolerance || points[5] - points[1] < tolerance;
+  }
+
+  if (invalid) {
+    rejectDrew(container);
+    return;
+  }
+
+  currentShape.points(points);
+  rebuildCircles(container, group, CATEGORY_POLY, points);
+  keepScreenSize(container, group);
+  container
+    .set('currentPoints', points)
+    .set('step', points.length / 2);
+
+  completeDraw(container);
+}
+
+/**
+ * 画图时的命中范围, 触摸时放宽
+ *
+ * @param {Container} container
+ * @returns {number}
+ */
+function drawTolerance(container) {
+  return container.get('pointerType') === 'touch'
+    ? container.get('touchTolerance')
+    : 5;
+}
+
+/**
+ * 处理画图时一次点击或松开的结果
+ *
+ * @param {Container} container
+ * @param {string} result DRAW_*
+ * @param {number} x
+ * @param {number} y
+ * @param {boolean} draggable 新加的环是否可拖动
+ */
+function applyDrawResult(container, result, x, y, draggable) {
+  const layer = container.get('layer');
+  const category = container.get('category');
+  const currentShape = container.get('currentShape');
+  const currentPoints = container.get('currentPoints');
+  const group = currentShape.getParent();
+
+  switch (result) {
+    case DRAW_REJECT:
+      rejectDrew(container);
+      return;
+
+    case DRAW_CONTINUE:
+      // break omitted
+    case DRAW_COMPLETE:
+      // 上环
+      addGroupCircle(
+        container, group, category, currentPoints.length, group.__shapeConfig, x, y, true, draggable
+      );
+
+      currentPoints.push(x, y);
+      currentShape.points(currentPoints);
+      if (currentShape.lastDashEnabled) {
+        currentShape.lastDashEnabled(false);
+      }
+      keepScreenSize(container, group);
+      layer.batchDraw();
+
+      container.set('step', container.get('step') + 1);
+
+      if (result === DRAW_COMPLETE) {
+        completeDraw(container);
+      }
+      break;
+
+    case DRAW_CLOSE:
+      completeDraw(container);
+      break;
+
+    default:
+  }
+}
+
+/**
+ * 画完当前图形, 等待确认
+ *
+ * @param {Container} container
+ */
+function completeDraw(container) {
+  const layer = container.get('layer');
+  const category = container.get('category');
+  const currentShape = container.get('currentShape');
+  const currentPoints = container.get('currentPoints');
+  const group = currentShape.getParent();
+  const handler = getCategory(category);
+
+  container
+    .set('state', STATE_PENDING)
+    .set('selectedGroup', group);
+
+  group.draggable(true);
+  if (handler.complete) {
+    handler.complete(currentShape, currentPoints, group.__shapeConfig);
+  }
+  else {
+    currentShape.points(currentPoints);
+  }
+
+  group.__preValue[handler.key] = currentPoints;
+
+  group.getChildren((node) => {
+    if (isCircle(node)) {
+      node.draggable(true);
+    }
+  });
+
+  layer.batchDraw();
+
+  // 画完一个图形后等待确认
+  requestConfirmation(container, group);
+}
+
+/**
+ * 校验图组, 合法时提示确认, 不合法时提示原因
+ *
+ * @param {Container} container
+ * @param {KonvaNode} group
+ */
+function emitConfirm(container, group) {
+  const invalid = validateGroup(container, group);
+  container.set('invalid', invalid);
+
+  if (invalid) {
+    container.emit('invalid', invalid, group, container);
+    return;
+  }
+  container.emit('confirm');
+}
+
+/**
+ * 校验图组中闭合的图形
+ *
+ * @param {Container} container
+ * @param {KonvaNode} group
+ * @returns {object|null} 不合法时返回 { reason, message }
+ */
+function validateGroup(container, group) {
+  const rules = container.get('validation');
+  let invalid = null;
+
+  group.getChildren((shape) => {
+    if (!invalid && isShape(shape) && shape.closed && shape.closed()) {
+      invalid = validatePolygon(shape.points(), rules);
+    }
+  });
+
+  // 自定义校验, 返回 false 或者原因表示不合法
+  const validate = container.get('validate');
+  if (!invalid && validate) {
+    const result = validate(group, getGroupPoints(group));
+    if (result === false || typeof result === 'string') {
+      invalid = { reason: 'custom', message: result || '' };
+    }
+  }
+
+  return invalid;
+}
+
+/**
+ * 获取图组中第一个图形的坐标, 用于定位确认浮层
+ *
+ * @param {KonvaNode} group
+ * @returns {number[]}
+ */
+function getGroupPoints(group) {
+  const shape = group.findOne(isShape);
+  return shape ? shape.points() : [];
+}
+
+/**
+ * 获取图组中某个分类的图形
+ *
+ * @param {KonvaNode} group
+ * @param {string} category
+ */
+function findShape(group, category) {
+  return group.findOne((node) => node.name() === category && isShape(node));
+}
+
+/**
+ * 是否是图形, 排除环和辅助节点
+ *
+ * @param {KonvaNode} node
+ * @returns {boolean}
+ */
+function isShape(node) {
+  return !isCircle(node) && !node.__helper;
+}
+
+/**
+ * 监听图形拖拽
+ * @param {Container} container
+ */
+function onDrag(container) {
+  const layer = container.get('layer');
+
+  // 拖动开始
+  layer.on('dragstart', 'Group', (evt) => {
+    const { currentTarget, target } = evt;
+    const selectedGroup = container.get('selectedGroup');
+    const selectedGroups = container.get('selectedGroups');
+    // 多选时一起拖动
+    const bulk = selectedGroups.length > 1 && selectedGroups.includes(target);
+
+    // 一定要在选中的时候才处理
+    if (target !== currentTarget // 事件冒泡会触发子元素
+      || (!bulk && target !== selectedGroup)) {
+      return;
+    }
+
+    const groups = bulk ? selectedGroups : [selectedGroup];
+
+    // 锁定的图组不能拖动
+    if (isEditPending(container) || groups.some((group) => isGroupLocked(container, group))) {
+      target.stopDrag();
+      return;
+    }
+
+    container
+      .set('action', ACTION_DRAG)
+      .set('draggingGroups', groups);
+
+    groups.forEach((group) => {
+      group.__dragStart = group.position();
+    });
+
+    // 限制在边界内拖动
+    if (container.get('boundary')) {
+      target.dragBoundFunc((pos) => boundGroupPosition(container, target, pos, groups));
+    }
+
+    // 隐藏气泡
+    displayCursorBalloon(container);
+    // 隐藏确认浮层
+    displayConfirmation(container);
+  });
+
+  // 拖动中
+  layer.on('dragmove', 'Group', (evt) => {
+    const { currentTarget, target } = evt;
+    const groups = container.get('draggingGroups');
+
+    // 其他选中的图组跟着移动
+    if (target === currentTarget && groups && groups.length > 1) {
+      const { x, y } = target.position();
+      const dx = x - target.__dragStart.x;
+      const dy = y - target.__dragStart.y;
+      groups.forEach((group) => {
+        if (group !== target) {
+          group.position({
+            x: group.__dragStart.x + dx,
+            y: group.__dragStart.y + dy
+          });
+        }
+      });
+      layer.batchDraw();
+    }
+
+    // 隐藏气泡
+    displayCursorBalloon(container);
+  });
+
+  // 拖动结束
+  layer.on('dragend', 'Group', (evt) => {
+    // 一定要在拖拽了之后处理
+    if (container.get('action') !== ACTION_DRAG
+        || evt.target !== evt.currentTarget) {
+      return;
+    }
+
+    container.set('state', STATE_PENDING);
+
+    container.get('draggingGroups').forEach((group) => {
+      delete group.__dragStart;
+      applyGroupOffset(group);
+    });
+
+    // 拖动后等待确认
+    requestConfirmation(container, evt.target);
+  });
+
+  return container;
+}
+
+/**
+ * 把图组的偏移量转换到各个图形的坐标上
+ *
+ * @param {KonvaNode} group
+ */
+function applyGroupOffset(group) {
+  // 使用图层坐标, 缩放时同样适用
+  const { x: offsetX, y: offsetY } = group.position();
+  group.position({ x: 0, y: 0 });
+  group.getChildren((shape) => {
+    if (isCircle(shape)) {
+      const { x, y } = shape.position();
+      shape.position({
+        x: offsetX + x,
+        y: offsetY + y
+      });
+    }
+    else if (isShape(shape)) {
+      const points = shape.points().map((p, j) => {
+        return p + (j % 2 ? offsetY : offsetX);
+      });
+      shape.position({ x: 0, y: 0 });
+      getCategory(shape.name()).restore(shape, points);
+    }
+  });
+  layoutLabel(group);
+}
+
+/**
+ * 监听调整图形
+ *
+ * @param {Container} container
+ */
+function onRectify(container) {
+  const layer = container.get('layer');
+
+  // 开始调整大小
+  layer.on('dragstart', 'Circle', (evt) => {
+    const circle = evt.currentTarget;
+
+    // 锁定的图组不能调整
+    if (isEditPending(container) || isGroupLocked(container, circle.getParent())) {
+      circle.stopDrag();
+      return;
+    }
+
+    container.set('action', ACTION_RECTIFY);
+
+    const { x, y } = circle.position();
+    circle.__dragStartX = x;
+    circle.__dragStartY = y;
+
+    // 限制在边界内拖动
+    if (container.get('boundary')) {
+      circle.dragBoundFunc((pos) => boundCirclePosition(container, circle, pos));
+    }
+
+    const shape = findShape(circle.getParent(), circle.name());
+    shape.__currentCircle = circle;
+
+    container
+      .set('currentShape', shape)
+      .set('currentPoints', shape.points());
+
+    // 隐藏气泡
+    displayCursorBalloon(container);
+    // 隐藏确认浮层
+    displayConfirmation(container);
+  });
+
+  // 正在调整大小
+  layer.on('dragmove', 'Circle', (evt) => {
+    if (container.get('action') !== ACTION_RECTIFY) {
+      return;
+    }
+
+    const circle = evt.currentTarget;
+    const currentShape = container.get('currentShape');
+
+    // 吸附, 以相邻的顶点作为角度吸附的起点
+    if (container.get('snapping')) {
+      const currentPoints = container.get('currentPoints');
+      const neighbor = (circle.__pointStart || currentPoints.length) - 2;
+      circle.position(snapPosition(
+        container,
+        circle.position(),
+        evt,
+        circle.getParent(),
+        { x: currentPoints[neighbor], y: currentPoints[neighbor + 1] },
+      ));
+    }
+    const { x, y } = circle.position();
+
+    const handler = getCategory(circle.name());
+    const points = rectifyPoints(
+      container,
+      circle,
+      container.get('currentPoints').slice(0),
+      x - circle.__dragStartX,
+      y - circle.__dragStartY,
+    );
+    handler.restore(currentShape, points);
+
+    // 联动的顶点也要同步环的位置
+    circle.getParent().getChildren((node) => {
+      if (isCircle(node) && node !== circle && node.name() === circle.name()) {
+        node.position({
+          x: points[node.__pointStart],
+          y: points[node.__pointStart + 1]
+        });
+      }
+    });
+    layoutLabel(circle.getParent());
+
+    layer.batchDraw();
+  });
+
+  // 调整大小完成
+  layer.on('dragend', 'Circle', (evt) => {
+    if (container.get('action') !== ACTION_RECTIFY) {
+      return;
+    }
+
+    const circle = evt.currentTarget;
+    const selectedGroup = container.get('selectedGroup');
+
+    container.set('state', STATE_PENDING);
+
+    delete circle.__dragStartX;
+    delete circle.__dragStartY;
+
+    // 隐藏吸附辅助线
+    displaySnapGuides(container);
+
+    // 调整后等待确认
+    requestConfirmation(container, selectedGroup);
+  });
+}
+
+/**
+ * 拖动环调整后的坐标, 矩形拖动角时对角不动, 其他图形按分类的 rectify 处理
+ *
+ * @param {Container} container
+ * @param {KonvaNode} circle
+ * @param {number[]} points 调整前的坐标
+ * @param {number} dx
+ * @param {number} dy
+ * @returns {number[]}
+ */
+function rectifyPoints(container, circle, points, dx, dy) {
+  const pointStart = circle.__pointStart;
+  if (circle.name() === CATEGORY_POLY && isRectGroup(container, circle.getParent(), points)) {
+    const [sx, sy] = RECT_CORNERS[pointStart / 2];
+    return resizeRect(points, sx, sy, points[pointStart] + dx, points[pointStart + 1] + dy);
+  }
+  return getCategory(circle.name()).rectify(points, pointStart, dx, dy);
+}
+
+/**
+ * 矩形画法下图组的多边形是否按矩形调整
+ *
+ * rect 只处理和坐标轴平行的矩形, rotatedRect 处理任意角度的矩形
+ *
+ * @param {Container} container
+ * @param {KonvaNode} group
+ * @param {number[]} [points] 默认为多边形当前的坐标
+ * @returns {boolean}
+ */
+function isRectGroup(container, group, points) {
+  const drawMode = container.get('drawMode');
+  if (drawMode !== 'rect' && drawMode !== 'rotatedRect') {
+    return false;
+  }
+
+  const shape = findShape(group, CATEGORY_POLY);
+  return !!shape
+    && shape.closed()
+    && isRectangle(points || shape.points(), drawMode === 'rect');
+}
+
+// 矩形四条边中点的缩放手柄在局部坐标系中的方向, 依次为上、右、下、左
+const RECT_EDGES = [[0, -1], [1, 0], [0, 1], [-1, 0]];
+
+/**
+ * 矩形手柄的位置
+ *
+ * @param {Container} container
+ * @param {number[]} points
+ * @param {object} handle 缩放手柄为 { sx, sy }, 旋转手柄为 { rotate: true }
+ * @returns {{x: number, y: number}}
+ */
+function getRectHandlePosition(container, points, handle) {
+  const frame = getRectFrame(points);
+  if (handle.rotate) {
+    // 在上边中点外侧, 距离按屏幕像素计算
+    const distance = frame.height / 2 + 24 / container.get('stage').scaleX();
+    return {
+      x: frame.cx - frame.vx * distance,
+      y: frame.cy - frame.vy * distance
+    };
+  }
+  return {
+    x: frame.cx + (handle.sx * frame.width * frame.ux + handle.sy * frame.height * frame.vx) / 2,
+    y: frame.cy + (handle.sx * frame.width * frame.uy + handle.sy * frame.height * frame.vy) / 2
+  };
+}
+
+/**
+ * 给多边形加上矩形的四条边的缩放手柄和旋转手柄, 四个角的缩放手柄就是环
+ *
+ * 手柄只在矩形画法下、多边形是矩形并且显示环的时候显示
+ *
+ * @param {Container} container
+ * @param {KonvaNode} group
+ * @param {string} category
+ */
+function addRectHandles(container, group, category) {
+  if (category !== CATEGORY_POLY) {
+    return;
+  }
+
+  const { circleRadius, circleFill, stroke } = group.__shapeConfig;
+  const handles = RECT_EDGES
+    .map(([sx, sy]) => ({ sx, sy }))
+    .concat({ rotate: true });
+
+  handles.forEach((handle) => {
+    const drawHandle = (ctx, node) => {
+      const shape = findShape(group, CATEGORY_POLY);
+      const circle = group.findOne((n) => isCircle(n) && n.name() === CATEGORY_POLY);
+      if (!circle || !circle.visible() || !isRectGroup(container, group)
+          || (handle.rotate && container.get('drawMode') !== 'rotatedRect')) {
+        return;
+      }
+
+      const points = shape.points();
+      const { x, y } = getRectHandlePosition(container, points, handle);
+      // 缩放时保持大小不变
+      const r = circleRadius / container.get('stage').scaleX();
+      ctx.beginPath();
+      if (handle.rotate) {
+        ctx.arc(x, y, r, 0, Math.PI * 2, false);
+      }
+      else {
+        ctx.rect(x - r, y - r, r * 2, r * 2);
+      }
+      ctx.closePath();
+      ctx.fillStrokeShape(node);
+
+      // 旋转手柄连到上边中点
+      if (handle.rotate) {
+        const top = getRectHandlePosition(container, points, { sx: 0, sy: -1 });
+        ctx.beginPath();
+        ctx.moveTo(top.x, top.y);
+        ctx.lineTo(x, y);
+        ctx.strokeShape(node);
+      }
+    };
+
+    const node = new Shape({
+      name: 'rectHandle',
+      fill: circleFill,
+      stroke,
+      strokeWidth: 1,
+      strokeScaleEnabled: false,
+      draggable: true,
+      sceneFunc: drawHandle,
+      hitFunc: drawHandle
+    });
+    node.__helper = true;
+    node.__handle = handle;
+    group.add(node);
+  });
+}
+
+/**
+ * 监听矩形手柄, 拖动边的手柄缩放, 拖动旋转手柄绕中心旋转
+ *
+ * 手柄本身不移动, 按指针位置计算新的矩形
+ *
+ * @param {Container} container
+ */
+function onRectHandles(container) {
+  const layer = container.get('layer');
+
+  // 指针在图组中的坐标, 贴着边界, 拿不到坐标时为 null
+  const getLocalPointer = (group) => {
+    const pointer = getPointerPosition(container);
+    if (!pointer) {
+      return null;
+    }
+    const pos = clampPoint(container, pointer);
+    return group.getTransform().copy().invert().point(pos);
+  };
+
+  layer.on('dragstart', '.rectHandle', (evt) => {
+    const node = evt.target;
+    const group = node.getParent();
+
+    if (container.get('readonly')
+        || isEditPending(container)
+        || isGroupLocked(container, group)) {
+      node.stopDrag();
+      return;
+    }
+
+    const start = getLocalPointer(group);
+    if (!start) {
+      node.stopDrag();
+      return;
+    }
+
+    const shape = findShape(group, CATEGORY_POLY);
+    node.__dragStart = start;
+    container
+      .set('action', ACTION_RECTIFY)
+      .set('currentShape', shape)
+      .set('currentPoints', shape.points());
+
+    // 隐藏气泡
+    displayCursorBalloon(container);
+    // 隐藏确认浮层
+    displayConfirmation(container);
+  });
+
+  layer.on('dragmove', '.rectHandle', (evt) => {
+    if (container.get('action') !== ACTION_RECTIFY) {
+      return;
+    }
+
+    const node = evt.target;
+    const group = node.getParent();
+    const handle = node.__handle;
+    const currentPoints = container.get('currentPoints');
+    const pointer = getLocalPointer(group);
+    node.position({ x: 0, y: 0 });
+    if (!pointer) {
+      return;
+    }
+    const { x, y } = pointer;
+
+    let points;
+    if (handle.rotate) {
+      const { cx, cy } = getRectFrame(currentPoints);
+      const start = node.__dragStart;
+      let angle = Math.atan2(y - cy, x - cx) - Math.atan2(start.y - cy, start.x - cx);
+      // 按住 Shift 时每次转 15 度
+      if (evt.evt.shiftKey) {
+        const step = Math.PI / 12;
+        angle = Math.round(angle / step) * step;
+      }
+      points = rotateRect(currentPoints, angle);
+    }
+    else {
+      const pos = clampPoint(container, { x, y });
+      points = resizeRect(currentPoints, handle.sx, handle.sy, pos.x, pos.y);
+    }
+
+    // 超出边界时停在上一次的位置
+    if (findOutOfBoundary(container, points)) {
+      return;
+    }
+
+    getCategory(CATEGORY_POLY).restore(container.get('currentShape'), points);
+    group.getChildren((n) => {
+      if (isCircle(n) && n.name() === CATEGORY_POLY) {
+        n.position({
+          x: points[n.__pointStart],
+          y: points[n.__pointStart + 1]
+        });
+      }
+    });
+    layoutLabel(group);
+
+    layer.batchDraw();
+  });
+
+  layer.on('dragend', '.rectHandle', (evt) => {
+    if (container.get('action') !== ACTION_RECTIFY) {
+      return;
+    }
+
+    const node = evt.target;
+    delete node.__dragStart;
+    node.position({ x: 0, y: 0 });
+
+    container.set('state', STATE_PENDING);
+
+    // 调整后等待确认
+    requestConfirmation(container, node.getParent());
+  });
+}
+
+/**
+ * 监听增删顶点, 仅用于可变边数的多边形
+ *
+ * @param {Container} container
+ */
+function onEditVertex(container) {
+  const stage = container.get('stage');
+  const layer = container.get('layer');
+
+  // 双击闭合
+  stage.on('dblclick dbltap', () => {
+    closeDrawing(container);
+  });
+
+  // 点击边的中点插入顶点
+  layer.on('click tap', '.midpoints', (evt) => {
+    const group = evt.target.getParent();
+    const shape = findShape(group, CATEGORY_POLY);
+    const points = shape.points().slice(0);
+    const maxSides = container.get('maxSides');
+    if (group !== container.get('selectedGroup')
+        || isGroupLocked(container, group)
+        || (maxSides && points.length / 2 >= maxSides)) {
+      return;
+    }
+
+    // 找到离点击位置最近的中点
+    const pointer = getPointerPosition(container);
+    if (!pointer) {
+      return;
+    }
+    const { x, y } = pointer;
+    let index = 0;
+    let minDistance = Infinity;
+    getMidpoints(points).forEach((n, i) => {
+      const d = distanceBetween(x, y, n.x, n.y);
+      if (d < minDistance) {
+        minDistance = d;
+        index = i;
+      }
+    });
+
+    const { x: mx, y: my } = getMidpoints(points)[index];
+    points.splice((index + 1) * 2, 0, Math.round(mx), Math.round(my));
+    editVertex(container, group, points);
+  });
+
+  // Alt + 点击环删除顶点, 触摸时要外接键盘按住 Alt, 也可以用 Delete 删除键盘选中的顶点
+  layer.on('click tap', 'Circle', (evt) => {
+    if (evt.evt.altKey) {
+      removeVertex(container, evt.target);
+    }
+  });
+}
+
+/**
+ * 删除多边形的顶点
+ *
+ * @param {Container} container
+ * @param {KonvaNode} circle
+ * @returns {boolean} 是否删除
+ */
+function removeVertex(container, circle) {
+  const group = circle.getParent();
+  if (!container.get('minSides')
+      || circle.name() !== CATEGORY_POLY
+      || group !== container.get('selectedGroup')
+      || isGroupLocked(container, group)
+      || isRectGroup(container, group)) {
+    return false;
+  }
+
+  const shape = findShape(group, CATEGORY_POLY);
+  const points = shape.points().slice(0);
+  if (points.length / 2 <= container.get('minSides')) {
+    return false;
+  }
+
+  points.splice(circle.__pointStart, 2);
+  editVertex(container, group, points);
+  return true;
+}
+
+/**
+ * 主动闭合正在画的图形
+ *
+ * @param {Container} container
+ * @returns {boolean} 是否闭合
+ */
+function closeDrawing(container) {
+  if (!(container.get('action') === ACTION_DRAW
+      && container.get('state') === STATE_DRAWING)) {
+    return false;
+  }
+
+  const handler = getCategory(container.get('category'));
+  const currentPoints = container.get('currentPoints');
+  const result = handler.close
+    ? handler.close(container, currentPoints)
+    : DRAW_IGNORE;
+  if (result === DRAW_IGNORE) {
+    return false;
+  }
+
+  // 闭合时不再加点, 沿用最后一个点的坐标
+  const l = currentPoints.length;
+  applyDrawResult(container, result, currentPoints[l - 2], currentPoints[l - 1], false);
+  return true;
+}
+
+/**
+ * 增删顶点后等待确认
+ *
+ * @param {Container} container
+ * @param {KonvaNode} group
+ * @param {number[]} points
+ */
+function editVertex(container, group, points) {
+  // 还在画图中或者合并、分割还未确认时不处理
+  if (container.get('state') === STATE_DRAWING || isEditPending(container)) {
+    return;
+  }
+
+  const handler = getCategory(CATEGORY_POLY);
+  const shape = findShape(group, CATEGORY_POLY);
+  handler.restore(shape, points);
+  rebuildCircles(container, group, CATEGORY_POLY, points);
+  layoutLabel(group);
+  keepScreenSize(container, group);
+
+  // 刚画完还未确认的多边形
+  if (group.__preValue[handler.key]) {
+    group.__preValue[handler.key] = points;
+  }
+
+  if (container.get('action') !== ACTION_DRAW) {
+    container.set('action', ACTION_RECTIFY);
+  }
+  container
+    .set('state', STATE_PENDING)
+    .set('currentShape', shape)
+    .set('currentPoints', points);
+
+  container.get('layer').batchDraw();
+
+  // 等待确认
+  requestConfirmation(container, group);
+}
+
+/**
+ * 计算多边形各条边的中点
+ *
+ * @param {number[]} points
+ * @returns {object[]}
+ */
+function getMidpoints(points) {
+  const midpoints = [];
+  eachPoint(points, (x, y, pointIndex, pointStart) => {
+    const next = (pointStart + 2) % points.length;
+    midpoints.push({
+      x: (x + points[next]) / 2,
+      y: (y + points[next + 1]) / 2
+    });
+  });
+  return midpoints;
+}
+
+/**
+ * 可变边数时给多边形加上边中点的手柄
+ *
+ * @param {Container} container
+ * @param {KonvaNode} group
+ * @param {string} category
+ */
+function addMidpoints(container, group, category) {
+  if (category !== CATEGORY_POLY || !container.get('minSides')) {
+    return;
+  }
+
+  const { circleRadius, circleFill, stroke } = group.__shapeConfig;
+  const radius = Math.max(2, Math.round(circleRadius * 0.6));
+  const drawMidpoints = (ctx, node) => {
+    const shape = findShape(group, CATEGORY_POLY);
+    const circle = group.findOne((n) => isCircle(n) && n.name() === CATEGORY_POLY);
+    // 画完并且显示环的时候才显示, 矩形用缩放手柄代替
+    if (!shape || !shape.closed() || !circle || !circle.visible()
+        || isRectGroup(container, group)) {
+      return;
+    }
+
+    // 缩放时保持大小不变
+    const r = radius / container.get('stage').scaleX();
+    ctx.beginPath();
+    getMidpoints(shape.points()).forEach(({ x, y }) => {
+      ctx.moveTo(x + r, y);
+      ctx.arc(x, y, r, 0, Math.PI * 2, false);
+    });
+    ctx.closePath();
+    ctx.fillStrokeShape(node);
+  };
+
+  const midpoints = new Shape({
+    name: 'midpoints',
+    fill: circleFill,
+    stroke,
+    strokeWidth: 1,
+    strokeScaleEnabled: false,
+    sceneFunc: drawMidpoints,
+    hitFunc: drawMidpoints
+  });
+  midpoints.__helper = true;
+
+  group.add(midpoints);
+}
+
+/**
+ * 监听多选, Shift/Ctrl 点击图组或者拖出选框
+ *
+ * @param {Container} container
+ */
+function onSelectGroups(container) {
+  const stage = container.get('stage');
+  const layer = container.get('layer');
+  const helperLayer = container.get('helperLayer');
+  let marquee = null;
+
+  stage.on('mousedown', (evt) => {
+    // 忽略触摸后模拟出来的鼠标事件, 否则长按多选后会被清空
+    if (detectPointer(container, evt)) {
+      return;
+    }
+
+    // 未确定的状态不能操作
+    if (container.get('state')
+        || container.get('action')
+        || container.get('readonly')
+        || container.get('cutting')
+        || isPanTrigger(container, evt)) {
+      return;
+    }
+
+    const { target } = evt;
+    const group = target === stage ? null : target.findAncestor('Group');
+    const multiple = isMultiSelectEvent(evt);
+
+    // Shift/Ctrl 点击切换图组的选中状态
+    if (multiple && group) {
+      toggleInSelection(container, group);
+      return;
+    }
+
+    // 点击其他地方取消多选, 点击多选中的图组可能是要拖动
+    if (!multiple && !isInSelection(container, target)) {
+      clearSelectedGroups(container);
+    }
+
+    // 在空白处按住 Shift/Ctrl 或者不能画图时拖出选框
+    const pointer = getPointerPosition(container);
+    if (pointer && target === stage && (multiple || !canDraw(container, target))) {
+      const { x, y } = pointer;
+      marquee = new Rect({
+        x,
+        y,
+        width: 0,
+        height: 0,
+        fill: 'rgba(0,161,255,0.1)',
+        stroke: '#00A1FF',
+        strokeWidth: 1,
+        strokeScaleEnabled: false,
+        dash: [4, 4]
+      });
+      marquee.__start = { x, y };
+      marquee.__append = multiple;
+      helperLayer.add(marquee);
+    }
+  });
+
+  stage.on('mousemove', () => {
+    const pointer = getPointerPosition(container);
+    if (!marquee || !pointer) {
+      return;
+    }
+
+    const { x, y } = pointer;
+    const start = marquee.__start;
+    marquee.setAttrs({
+      x: Math.min(x, start.x),
+      y: Math.min(y, start.y),
+      width: Math.abs(x - start.x),
+      height: Math.abs(y - start.y)
+    });
+    helperLayer.batchDraw();
+  });
+
+  stage.on('mouseup mouseleave', () => {
+    if (!marquee) {
+      return;
+    }
+
+    const rect = {
+      x: marquee.x(),
+      y: marquee.y(),
+      width: marquee.width(),
+      height: marquee.height()
+    };
+    const append = marquee.__append;
+    marquee.destroy();
+    marquee = null;
+    helperLayer.batchDraw();
+
+    // 点一下不算框选
+    if (rect.width < 3 && rect.height < 3) {
+      return;
+    }
+
+    const groups = append ? container.get('selectedGroups').slice(0) : [];
+    layer.getChildren((group) => {
+      if (group.getClassName() === 'Group'
+          && group.visible()
+          && !groups.includes(group)
+          && Util.haveIntersection(rect, group.getClientRect({ relativeTo: layer }))) {
+        groups.push(group);
+      }
+    });
+    setSelectedGroups(container, groups);
+  });
+}
+
+/**
+ * 是否是多选操作
+ *
+ * @param {KonvaEvent} evt
+ * @returns {boolean}
+ */
+function isMultiSelectEvent(evt) {
+  const e = evt.evt;
+  return evt.type === 'mousedown' && !!(e.shiftKey || e.ctrlKey || e.metaKey);
+}
+
+/**
+ * 节点是否在多选的图组中
+ *
+ * @param {Container} container
+ * @param {KonvaNode} node
+ * @returns {boolean}
+ */
+function isInSelection(container, node) {
+  const selectedGroups = container.get('selectedGroups');
+  return selectedGroups.length > 0
+    && node !== container.get('stage')
+    && selectedGroups.includes(node.getClassName() === 'Group' ? node : node.findAncestor('Group'));
+}
+
+/**
+ * 切换图组的多选状态
+ *
+ * @param {Container} container
+ * @param {KonvaNode} group
+ */
+function toggleInSelection(container, group) {
+  const groups = container.get('selectedGroups').slice(0);
+
+  // 已经单选的图组也加入多选
+  const selectedGroup = container.get('selectedGroup');
+  if (selectedGroup && !groups.includes(selectedGroup)) {
+    groups.push(selectedGroup);
+  }
+
+  const index = groups.indexOf(group);
+  if (index > -1) {
+    groups.splice(index, 1);
+  }
+  else {
+    groups.push(group);
+  }
+  setSelectedGroups(container, groups);
+}
+
+/**
+ * 设置多选的图组
+ *
+ * @param {Container} container
+ * @param {KonvaNode[]} groups
+ */
+function setSelectedGroups(container, groups) {
+  clearSelectedGroups(container);
+
+  // 取消单选
+  if (container.get('selectedGroup')) {
+    toggleSelectedGroup(container, container.get('stage'));
+  }
+
+  // 只剩一个图组时按单选处理
+  if (groups.length === 1) {
+    toggleSelectedGroup(container, groups[0].findOne(isShape));
+  }
+  else {
+    groups.forEach((group) => {
+      group.draggable(true);
+      displayGroup(container, group, { hover: true });
+    });
+    container.set('selectedGroups', groups);
+  }
+  container.get('layer').batchDraw();
+
+  container.emit('selectGroups', groups.map((group) => group.id()), container);
+}
+
+/**
+ * 取消多选
+ *
+ * @param {Container} container
+ */
+function clearSelectedGroups(container) {
+  const selectedGroups = container.get('selectedGroups');
+  if (!selectedGroups.length) {
+    return;
+  }
+
+  selectedGroups.forEach((group) => {
+    group.draggable(false);
+    displayGroup(container, group, { hover: false });
+  });
+  container.set('selectedGroups', []);
+  container.get('layer').batchDraw();
+}
+
+/**
+ * 监听非画图操作
+ *
+ * @param {Container} container
+ */
+function onManipulate(container) {
+  const stage = container.get('stage');
+  const layer = container.get('layer');
+
+  const canCursor = (evt) => {
+    return !container.get('readonly')
+          && canDraw(container, evt.target)
+          && container.get('step') === 0;
+  };
+
+  layer.on('mouseover', 'Group', (evt) => {
+    const { currentTarget: group } = evt;
+    const selectedGroup = container.get('selectedGroup');
+
+    // 未确定的状态不能操作
+    if (container.get('state')
+        || container.get('action')
+        || group === selectedGroup) {
+      return;
+    }
+
+    displayGroup(
+      container,
+      group,
+      { hover: true },
+    );
+  });
+
+  layer.on('mouseout', 'Group', (evt) => {
+    const group = evt.currentTarget;
+    // 多选的图组保持高亮
+    if (!group.__hover || container.get('selectedGroups').includes(group)) {
+      return;
+    }
+
+    displayGroup(
+      container,
+      group,
+      { hover: false },
+    );
+  });
+
+  stage.on('mouseenter', (evt) => {
+    if (!canCursor(evt)) {
+      return;
+    }
+    container.emit('cursorBalloon');
+  });
+
+  stage.on('mousemove', (evt) => {
+    // 触摸时不显示气泡
+    if (container.get('pointerType') === 'touch') {
+      return;
+    }
+    displayCursorBalloon(container, canCursor(evt) ? evt.evt : 0);
+  });
+
+  // 长按选中图组
+  let pressTimer = null;
+  let pressPosition = null;
+  const cancelPress = () => {
+    if (pressTimer) {
+      clearTimeout(pressTimer);
+      pressTimer = null;
+    }
+  };
+
+  layer.on('touchstart', 'Group', (evt) => {
+    cancelPress();
+
+    // 未确定的状态不能操作
+    if (container.get('state') || container.get('action')) {
+      return;
+    }
+
+    const { target } = evt;
+    pressPosition = stage.getPointerPosition();
+    pressTimer = setTimeout(() => {
+      pressTimer = null;
+      toggleSelectedGroup(container, target);
+      layer.batchDraw();
+      container.emit('longPress', evt.currentTarget, container);
+    }, container.get('longPressDelay'));
+  });
+
+  stage.on('touchmove', () => {
+    const pos = stage.getPointerPosition();
+    // 手指稍有抖动不算移动
+    if (pressTimer && pos && pressPosition
+        && distanceBetween(pos.x, pos.y, pressPosition.x, pressPosition.y) > container.get('touchTolerance')) {
+      cancelPress();
+    }
+  });
+
+  stage.on('touchend', cancelPress);
+
+  stage.on('mouseleave', (evt) => {
+    if (!canCursor(evt)) {
+      return;
+    }
+    // 隐藏气泡
+    displayCursorBalloon(container);
+  });
+
+  container.on('beforeDestroy', cancelPress);
+}
+
+/**
+ * 解析快捷键配置
+ *
+ * @param {object} [keyBindings] { 操作名: 'Ctrl+Z' | ['Ctrl+Z', 'Meta+Z'] }
+ * @returns {object[]}
+ */
+function parseKeyBindings(keyBindings) {
+  const bindings = [];
+  const actions = Object.assign({}, defaultKeyBindings, keyBindings);
+  Object.keys(actions).forEach((action) => {
+    [].concat(actions[action] || []).forEach((combo) => {
+      const keys = combo.split('+');
+      const modifiers = keys.slice(0, -1).map((n) => n.toLowerCase());
+      bindings.push({
+        action,
+        key: keys[keys.length - 1].toLowerCase(),
+        ctrl: modifiers.includes('ctrl'),
+        shift: modifiers.includes('shift'),
+        alt: modifiers.includes('alt'),
+        meta: modifiers.includes('meta')
+      });
+    });
+  });
+  return bindings;
+}
+
+/**
+ * 找到按键对应的操作
+ *
+ * @param {Container} container
+ * @param {KeyboardEvent} evt
+ * @returns {string|undefined}
+ */
+function matchKeyBinding(container, evt) {
+  const key = (evt.key || '').toLowerCase();
+  const binding = container.get('keyBindings').find((n) => {
+    return n.key === key
+      && n.ctrl === evt.ctrlKey
+      && n.shift === evt.shiftKey
+      && n.alt === evt.altKey
+      && n.meta === evt.metaKey;
+  });
+  return binding && binding.action;
+}
+
+/**
+ * 监听键盘操作
+ *
+ * @param {Container} container
+ */
+function onKeyboard(container) {
+  const panelEl = container.get('panelEl');
+
+  // 面板要能获得焦点才能接收键盘事件
+  if (!panelEl.hasAttribute('tabindex')) {
+    panelEl.setAttribute('tabindex', '0');
+  }
+
+  const actions = {
+    resolve() {
+      if (closeDrawing(container)) {
+        return true;
+      }
+      if (container.get('state') !== STATE_PENDING) {
+        return false;
+      }
+      container.resolveChanges();
+      return true;
+    },
+    reject() {
+      return cancelByKeyboard(container);
+    },
+    skipStep() {
+      return skipStep(container);
+    },
+    deleteGroup() {
+      if (!container.get('selectedGroup') && !container.get('selectedGroups').length) {
+        return false;
+      }
+      container.deleteSelectedGroup();
+      return true;
+    },
+    deleteVertex() {
+      const circle = getFocusedCircle(container);
+      const group = circle && circle.getParent();
+      if (!circle || !removeVertex(container, circle)) {
+        return false;
+      }
+      // 删除后环会重建, 保持选中同一位置的顶点
+      focusVertexAt(container, group, circle.__pointStart);
+      return true;
+    },
+    focusNext() {
+      return cycleFocus(container, 1);
+    },
+    focusPrev() {
+      return cycleFocus(container, -1);
+    },
+    nudgeLeft(evt) {
+      return nudge(container, -nudgeStep(evt), 0);
+    },
+    nudgeRight(evt) {
+      return nudge(container, nudgeStep(evt), 0);
+    },
+    nudgeUp(evt) {
+      return nudge(container, 0, -nudgeStep(evt));
+    },
+    nudgeDown(evt) {
+      return nudge(container, 0, nudgeStep(evt));
+    },
+    undo() {
+      container.undo();
+      return true;
+    },
+    redo() {
+      container.redo();
+      return true;
+    }
+  };
+
+  // 只读时只能确认、取消和切换选中
+  const readonlyActions = ['resolve', 'reject', 'focusNext', 'focusPrev'];
+
+  const onkeydown = (evt) => {
+    const action = matchKeyBinding(container, evt);
+    if (container.get('readonly') && !readonlyActions.includes(action)) {
+      return;
+    }
+    // 没有处理的按键保留默认行为, 比如没有图组时 Tab 切换焦点
+    if (action && actions[action] && actions[action](evt)) {
+      evt.preventDefault();
+    }
+  };
+  on(panelEl, 'keydown', onkeydown);
+
+  // 使用鼠标或触摸时取消键盘选中的顶点
+  container.get('stage').on('mousedown touchstart', () => {
+    if (container.get('focusedCircle')) {
+      focusCircle(container, null);
+      container.get('layer').batchDraw();
+    }
+  });
+
+  container.on('beforeDestroy', () => {
+    off(panelEl, 'keydown', onkeydown);
+  });
+}
+
+/**
+ * 方向键每次移动的像素, 按住 Shift 移动 10 像素
+ *
+ * @param {KeyboardEvent} evt
+ * @returns {number}
+ */
+function nudgeStep(evt) {
+  return evt.shiftKey ? 10 : 1;
+}
+
+/**
+ * Escape 依次取消正在画的图形、未确认的修改和选中状态
+ *
+ * @param {Container} container
+ * @returns {boolean} 是否处理
+ */
+function cancelByKeyboard(container) {
+  if (container.get('cutting')) {
+    endCutting(container);
+    return true;
+  }
+
+  const state = container.get('state');
+  if (state === STATE_DRAWING) {
+    if (!container.get('currentShape')) {
+      return false;
+    }
+    rejectDrew(container);
+    return true;
+  }
+
+  if (state === STATE_PENDING) {
+    container.rejectChanges();
+    return true;
+  }
+
+  if (container.get('selectedGroups').length) {
+    clearSelectedGroups(container);
+    return true;
+  }
+
+  if (container.get('selectedGroup')) {
+    focusCircle(container, null);
+    toggleSelectedGroup(container, container.get('stage'));
+    container.get('layer').batchDraw();
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Tab 依次选中图组和图组内的顶点
+ *
+ * @param {Container} container
+ * @param {number} direction 1 向后, -1 向前
+ * @returns {boolean} 是否切换
+ */
+function cycleFocus(container, direction) {
+  // 未确定的状态不能切换
+  if (container.get('state') || container.get('action')) {
+    return false;
+  }
+
+  // 按 图组, 顶点, 顶点, ..., 下一个图组 的顺序切换
+  const items = [];
+  container.get('layer').getChildren((group) => {
+    if (group.getClassName() === 'Group' && group.visible()) {
+      items.push(group);
+      group.getChildren((node) => {
+        if (isCircle(node)) {
+          items.push(node);
+        }
+      });
+    }
+  });
+  if (!items.length) {
+    return false;
+  }
+
+  const current = getFocusedCircle(container) || container.get('selectedGroup');
+  const index = items.indexOf(current);
+  const next = index > -1
+    ? items[(index + direction + items.length) % items.length]
+    : items[direction > 0 ? 0 : items.length - 1];
+
+  clearSelectedGroups(container);
+
+  const group = isCircle(next) ? next.getParent() : next;
+  if (group !== container.get('selectedGroup')) {
+    toggleSelectedGroup(container, group.findOne(isShape));
+  }
+  focusCircle(container, isCircle(next) ? next : null);
+  container.get('layer').batchDraw();
+
+  container.emit('focus', group.id(), isCircle(next) ? next.__pointStart / 2 : -1, container);
+  return true;
+}
+
+/**
+ * 获取键盘选中的顶点, 顶点已经被销毁或者图组取消选中时返回 null
+ *
+ * @param {Container} container
+ * @returns {KonvaNode|null}
+ */
+function getFocusedCircle(container) {
+  const circle = container.get('focusedCircle');
+  if (circle
+      && circle.getParent()
+      && circle.getParent() === container.get('selectedGroup')) {
+    return circle;
+  }
+  focusCircle(container, null);
+  return null;
+}
+
+/**
+ * 高亮键盘选中的顶点
+ *
+ * @param {Container} container
+ * @param {KonvaNode|null} circle
+ */
+function focusCircle(container, circle) {
+  const prevCircle = container.get('focusedCircle');
+  if (prevCircle && prevCircle !== circle) {
+    const { circleFill } = prevCircle.getParent()
+      ? prevCircle.getParent().__shapeConfig
+      : {};
+    prevCircle.fill(circleFill);
+  }
+
+  if (circle) {
+    circle.fill(circle.getParent().__shapeConfig.stroke);
+  }
+  container.set('focusedCircle', circle);
+}
+
+/**
+ * 选中图组内某个位置的顶点, 超出时选中最后一个
+ *
+ * @param {Container} container
+ * @param {KonvaNode} group
+ * @param {number} pointStart
+ */
+function focusVertexAt(container, group, pointStart) {
+  let circle = null;
+  group.getChildren((node) => {
+    if (isCircle(node)
+        && node.name() === CATEGORY_POLY
+        && node.__pointStart <= pointStart
+        && (!circle || node.__pointStart > circle.__pointStart)) {
+      circle = node;
+    }
+  });
+  focusCircle(container, circle);
+  container.get('layer').batchDraw();
+}
+
+/**
+ * 方向键移动选中的顶点或者图组
+ *
+ * @param {Container} container
+ * @param {number} dx
+ * @param {number} dy
+ * @returns {boolean} 是否移动
+ */
+function nudge(container, dx, dy) {
+  // 画图中或者合并、分割还未确认时不能移动
+  if (container.get('state') === STATE_DRAWING || isEditPending(container)) {
+    return false;
+  }
+
+  const circle = getFocusedCircle(container);
+  if (circle) {
+    if (isGroupLocked(container, circle.getParent())) {
+      return false;
+    }
+    nudgeVertex(container, circle, dx, dy);
+    return true;
+  }
+
+  // 多选时一起移动, 已经在移动的图组继续移动
+  const selectedGroup = container.get('selectedGroup');
+  const selectedGroups = container.get('selectedGroups');
+  let groups = container.get('action') === ACTION_DRAG
+    ? container.get('draggingGroups')
+    : null;
+  if (!groups) {
+    groups = selectedGroups.length ? selectedGroups : [selectedGroup];
+  }
+  if (!groups[0] || groups.some((group) => isGroupLocked(container, group))) {
+    return false;
+  }
+
+  nudgeGroups(container, groups, dx, dy);
+  return true;
+}
+
+/**
+ * 移动顶点, 和拖动环一样等待确认
+ *
+ * @param {Container} container
+ * @param {KonvaNode} circle
+ * @param {number} dx
+ * @param {number} dy
+ */
+function nudgeVertex(container, circle, dx, dy) {
+  const group = circle.getParent();
+  const category = circle.name();
+  const handler = getCategory(category);
+  const shape = findShape(group, category);
+
+  // 限制在边界内
+  const { x, y } = circle.position();
+  const pos = clampPoint(container, { x: x + dx, y: y + dy });
+  const points = rectifyPoints(
+    container,
+    circle,
+    shape.points().slice(0),
+    pos.x - x,
+    pos.y - y,
+  );
+  handler.restore(shape, points);
+
+  // 联动的顶点也要同步环的位置
+  group.getChildren((node) => {
+    if (isCircle(node) && node.name() === category) {
+      node.position({
+        x: points[node.__pointStart],
+        y: points[node.__pointStart + 1]
+      });
+    }
+  });
+  layoutLabel(group);
+
+  container
+    .set('action', ACTION_RECTIFY)
+    .set('state', STATE_PENDING)
+    .set('currentShape', shape)
+    .set('currentPoints', points);
+
+  container.get('layer').batchDraw();
+
+  // 等待确认
+  requestConfirmation(container, group);
+}
+
+/**
+ * 移动图组, 和拖动图组一样等待确认
+ *
+ * @param {Container} container
+ * @param {KonvaNode[]} groups
+ * @param {number} dx
+ * @param {number} dy
+ */
+function nudgeGroups(container, groups, dx, dy) {
+  let offset = { x: dx, y: dy };
+
+  // 限制在边界内
+  if (container.get('boundary')) {
+    const transform = container.get('layer').getAbsoluteTransform();
+    const pos = boundGroupPosition(container, groups[0], transform.point(offset), groups);
+    offset = transform.copy().invert().point(pos);
+  }
+
+  groups.forEach((group) => {
+    group.position(offset);
+    applyGroupOffset(group);
+  });
+
+  container
+    .set('action', ACTION_DRAG)
+    .set('state', STATE_PENDING)
+    .set('draggingGroups', groups);
+
+  container.get('layer').batchDraw();
+
+  // 等待确认
+  requestConfirmation(container, groups[0]);
+}
+
+/**
+ * 和尺寸无关的 value, 上次缩放后没有修改过时直接使用上次的结果, 避免多次缩放累积误差
+ *
+ * @param {Container} container
+ * @param {object|string} space 背景或者 'ratio'
+ * @param {function} toCanonical
+ * @returns {object[]}
+ */
+function getCanonicalValue(container, space, toCanonical) {
+  const value = container.get('value');
+  const cache = container.get('canonicalValue');
+  if (cache && cache.space === space && valueEquals(cache.pixelValue, value)) {
+    return cache.value;
+  }
+  return toCanonical(value);
+}
+
+/**
+ * 监听面板尺寸变化自动 resize
+ *
+ * @param {Container} container
+ */
+function onAutoResize(container) {
+  if (!container.get('autoResize') || typeof ResizeObserver === 'undefined') {
+    return;
+  }
+
+  const panelEl = container.get('panelEl');
+  let timer = null;
+  const observer = new ResizeObserver(() => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timer = null;
+      container.resize(panelEl.clientWidth, panelEl.clientHeight);
+    }, container.get('resizeDelay'));
+  });
+  observer.observe(panelEl);
+
+  container.on('beforeDestroy', () => {
+    clearTimeout(timer);
+    observer.disconnect();
+  });
+}
+
+/**
+ * 加载背景图片或视频
+ *
+ * @param {string|HTMLImageElement|HTMLVideoElement} source
+ * @param {string} [crossOrigin]
+ * @returns {Promise<HTMLImageElement|HTMLVideoElement>}
+ */
+function loadMedia(source, crossOrigin) {
+  return new Promise((resolve, reject) => {
+    let media = source;
+    if (typeof source === 'string') {
+      media = new window.Image();
+      if (crossOrigin) {
+        media.crossOrigin = crossOrigin;
+      }
+      media.src = source;
+    }
+
+    const isVideo = media.tagName === 'VIDEO';
+    if (isVideo ? media.readyState >= 1 : media.complete && media.naturalWidth) {
+      resolve(media);
+      return;
+    }
+
+    const type = isVideo ? 'loadedmetadata' : 'load';
+    const onload = () => {
+      off(media, type, onload);
+      off(media, 'error', onerror);
+      resolve(media);
+    };
+    const onerror = () => {
+      off(media, type, onload);
+      off(media, 'error', onerror);
+      reject(new Error(`背景加载失败 ${media.src}`));
+    };
+    on(media, type, onload);
+    on(media, 'error', onerror);
+  });
+}
+
+/**
+ * 设置背景
+ *
+ * @param {Container} container
+ * @param {string|HTMLImageElement|HTMLVideoElement} source
+ * @param {object} opts
+ */
+function setBackground(container, source, opts) {
+  return loadMedia(source, opts.crossOrigin).then((media) => {
+    // 加载过程中已经销毁
+    if (!container.initialized) {
+      return;
+    }
+
+    removeBackground(container);
+
+    const backgroundLayer = container.get('backgroundLayer');
+    const node = new KonvaImage({
+      image: media,
+      listening: false
+    });
+    backgroundLayer.add(node);
+
+    const background = {
+      node,
+      media,
+      fit: opts.fit || 'contain',
+      animation: null
+    };
+
+    // 视频需要逐帧重绘
+    if (media.tagName === 'VIDEO') {
+      background.animation = new Animation(() => {}, backgroundLayer);
+      background.animation.start();
+    }
+
+    container.set('background', background);
+    layoutBackground(container);
+
+    // 使用图片坐标时, 背景加载前设置的 value
+    const pendingValue = container.get('pendingValue');
+    if (pendingValue) {
+      container.set('pendingValue', null);
+      container.setValue(pendingValue);
+    }
+
+    container.emit('background', media, container);
+  });
+}
+
+/**
+ * 移除背景
+ *
+ * @param {Container} container
+ */
+function removeBackground(container) {
+  const background = container.get('background');
+  if (!background) {
+    return;
+  }
+
+  if (background.animation) {
+    background.animation.stop();
+  }
+  background.node.destroy();
+  container.set('background', null);
+}
+
+/**
+ * 按填充方式摆放背景, 并记录图片坐标和画布坐标的换算关系
+ *
+ * @param {Container} container
+ */
+function layoutBackground(container) {
+  const background = container.get('background');
+  const { node, media, fit } = background;
+  const stage = container.get('stage');
+  const stageWidth = stage.width();
+  const stageHeight = stage.height();
+  const width = media.naturalWidth || media.videoWidth;
+  const height = media.naturalHeight || media.videoHeight;
+
+  let scaleX = stageWidth / width;
+  let scaleY = stageHeight / height;
+  if (fit === 'contain') {
+    scaleX = scaleY = Math.min(scaleX, scaleY);
+  }
+  else if (fit === 'cover') {
+    scaleX = scaleY = Math.max(scaleX, scaleY);
+  }
+
+  // 居中, 留出的黑边就是偏移量
+  const x = (stageWidth - width * scaleX) / 2;
+  const y = (stageHeight - height * scaleY) / 2;
+
+  node.setAttrs({
+    x,
+    y,
+    width: width * scaleX,
+    height: height * scaleY
+  });
+  Object.assign(background, { width, height, scaleX, scaleY, x, y });
+
+  container.get('backgroundLayer').batchDraw();
+}
+
+/**
+ * 监听滚轮缩放, 按住空格或者鼠标中键拖动平移
+ *
+ * @param {Container} container
+ */
+function onZoom(container) {
+  const stage = container.get('stage');
+  const panelEl = container.get('panelEl');
+  let panStart = null;
+
+  stage.on('wheel', (evt) => {
+    if (!container.get('zoomable')) {
+      return;
+    }
+    evt.evt.preventDefault();
+
+    // 以指针位置为中心缩放
+    const pointer = stage.getPointerPosition();
+    const oldScale = stage.scaleX();
+    const scale = evt.evt.deltaY < 0 ? oldScale * 1.1 : oldScale / 1.1;
+    zoomAt(container, scale, pointer);
+  });
+
+  stage.on('mousedown', (evt) => {
+    if (detectPointer(container, evt) || !isPanTrigger(container, evt)) {
+      return;
+    }
+    evt.evt.preventDefault();
+
+    panStart = {
+      clientX: evt.evt.clientX,
+      clientY: evt.evt.clientY,
+      position: stage.position()
+    };
+    container.set('panning', true);
+  });
+
+  stage.on('mousemove', (evt) => {
+    if (!panStart) {
+      return;
+    }
+
+    stage.position({
+      x: panStart.position.x + evt.evt.clientX - panStart.clientX,
+      y: panStart.position.y + evt.evt.clientY - panStart.clientY
+    });
+    stage.batchDraw();
+
+    container.emit('pan', stage.position(), container);
+  });
+
+  stage.on('mouseup mouseleave', () => {
+    panStart = null;
+    container.set('panning', false);
+  });
+
+  // 按住空格平移
+  const onkeydown = (evt) => {
+    if ((evt.keyCode || evt.which) === 32 && container.get('zoomable')) {
+      evt.preventDefault();
+      container.set('spacePressed', true);
+    }
+  };
+  const onkeyup = (evt) => {
+    if ((evt.keyCode || evt.which) === 32) {
+      container.set('spacePressed', false);
+    }
+  };
+  on(panelEl, 'keydown', onkeydown);
+  on(panelEl, 'keyup', onkeyup);
+
+  container.on('beforeDestroy', () => {
+    off(panelEl, 'keydown', onkeydown);
+    off(panelEl, 'keyup', onkeyup);
+  });
+}
+
+/**
+ * 是否开始平移, 鼠标中键或者按住空格时
+ *
+ * @param {Container} container
+ * @param {KonvaEvent} evt
+ * @returns {boolean}
+ */
+function isPanTrigger(container, evt) {
+  return container.get('zoomable')
+    && evt.type === 'mousedown'
+    && (evt.evt.button === 1 || !!container.get('spacePressed'));
+}
+
+/**
+ * 以画布上的某个点为中心缩放
+ *
+ * @param {Container} container
+ * @param {number} scale
+ * @param {{x: number, y: number}} pointer 画布坐标
+ */
+function zoomAt(container, scale, pointer) {
+  const stage = container.get('stage');
+  const oldScale = stage.scaleX();
+  scale = Math.min(Math.max(scale, container.get('minScale')), container.get('maxScale'));
+
+  // 缩放前指针下的图层坐标
+  const position = stage.position();
+  const x = (pointer.x - position.x) / oldScale;
+  const y = (pointer.y - position.y) / oldScale;
+
+  stage.scale({ x: scale, y: scale });
+  stage.position({
+    x: pointer.x - x * scale,
+    y: pointer.y - y * scale
+  });
+
+  afterZoom(container);
+}
+
+/**
+ * 缩放并把图层坐标 center 居中
+ *
+ * @param {Container} container
+ * @param {number} scale
+ * @param {{x: number, y: number}} [center]
+ */
+function zoomTo(container, scale, center) {
+  const stage = container.get('stage');
+  const view = {
+    x: stage.width() / 2,
+    y: stage.height() / 2
+  };
+  if (!center) {
+    const position = stage.position();
+    const oldScale = stage.scaleX();
+    center = {
+      x: (view.x - position.x) / oldScale,
+      y: (view.y - position.y) / oldScale
+    };
+  }
+
+  scale = Math.min(Math.max(scale, container.get('minScale')), container.get('maxScale'));
+  stage.scale({ x: scale, y: scale });
+  stage.position({
+    x: view.x - center.x * scale,
+    y: view.y - center.y * scale
+  });
+
+  afterZoom(container);
+}
+
+/**
+ * 完整显示背景, 没有背景时完整显示所有图组
+ *
+ * @param {Container} container
+ */
+function fitToView(container) {
+  const stage = container.get('stage');
+  const {
+    x,
+    y,
+    width,
+    height
+  } = getContentBounds(container);
+  const scale = Math.min(
+    Math.max(
+      Math.min(stage.width() / width, stage.height() / height),
+      container.get('minScale'),
+    ),
+    container.get('maxScale'),
+  );
+
+  stage.scale({ x: scale, y: scale });
+  stage.position({
+    x: (stage.width() - width * scale) / 2 - x * scale,
+    y: (stage.height() - height * scale) / 2 - y * scale
+  });
+
+  afterZoom(container);
+}
+
+/**
+ * 内容区域, 有背景时为背景的区域, 否则为所有可见图组的外接矩形, 都没有时为整个画布
+ *
+ * @param {Container} container
+ * @returns {{x: number, y: number, width: number, height: number}} 缩放平移前的图层坐标
+ */
+function getContentBounds(container) {
+  const stage = container.get('stage');
+  const layer = container.get('layer');
+  const background = container.get('background');
+
+  if (background) {
+    return {
+      x: background.x,
+      y: background.y,
+      width: background.width * background.scaleX,
+      height: background.height * background.scaleY
+    };
+  }
+
+  if (layer.hasChildren()) {
+    const rect = layer.getClientRect({ relativeTo: layer });
+    if (rect.width > 0 && rect.height > 0) {
+      return rect;
+    }
+  }
+
+  return {
+    x: 0,
+    y: 0,
+    width: stage.width(),
+    height: stage.height()
+  };
+}
+
+/**
+ * 缩放后处理
+ *
+ * @param {Container} container
+ */
+function afterZoom(container) {
+  keepScreenSize(container);
+  container.get('stage').batchDraw();
+
+  // 浮层跟着图组移动
+  const selectedGroup = container.get('selectedGroup');
+  if (container.get('state') === STATE_PENDING && selectedGroup) {
+    showConfirmation(container, selectedGroup);
+  }
+
+  container.emit('zoom', container.get('stage').scaleX(), container);
+}
+
+/**
+ * 缩放时环的大小和线宽在屏幕上保持不变
+ *
+ * @param {Container} container
+ * @param {KonvaNode} [node] 默认整个图层
+ */
+function keepScreenSize(container, node = container.get('layer')) {
+  const scale = 1 / container.get('stage').scaleX();
+  node.find('Circle').each((circle) => {
+    circle.scale({ x: scale, y: scale });
+  });
+  node.find('.label').each((label) => {
+    label.scale({ x: scale, y: scale });
+  });
+  node.find(isShape).each((shape) => {
+    if (shape.getClassName() !== 'Group') {
+      shape.strokeScaleEnabled(false);
+    }
+  });
+}
+
+/**
+ * 识别指针类型, 并过滤触摸后浏览器模拟出来的鼠标事件
+ *
+ * @param {Container} container
+ * @param {KonvaEvent} evt
+ * @returns {boolean} 是否忽略该事件
+ */
+function detectPointer(container, evt) {
+  if (evt.type.indexOf('touch') === 0) {
+    container.set('lastTouchTime', Date.now());
+    if (evt.type === 'touchstart') {
+      setPointerType(container, 'touch');
+    }
+    return false;
+  }
+
+  // 触摸结束后浏览器还会补发一次鼠标事件
+  if (Date.now() - container.get('lastTouchTime') < 600) {
+    return true;
+  }
+
+  if (container.get('pointerType') !== 'mouse') {
+    setPointerType(container, 'mouse');
+  }
+  return false;
+}
+
+/**
+ * 切换指针类型, 触摸时加大环的命中范围
+ *
+ * @param {Container} container
+ * @param {string} pointerType mouse 或 touch
+ */
+function setPointerType(container, pointerType) {
+  container.set('pointerType', pointerType);
+
+  const hitStrokeWidth = getCircleHitStrokeWidth(container);
+  container.get('layer').find('Circle').each((circle) => {
+    circle.hitStrokeWidth(hitStrokeWidth);
+  });
+}
+
+/**
+ * 环的命中范围, 触摸时加大
+ *
+ * @param {Container} container
+ * @returns {number|string}
+ */
+function getCircleHitStrokeWidth(container) {
+  return container.get('pointerType') === 'touch'
+    ? container.get('touchTolerance') * 2
+    : 'auto';
+}
+
+/**
+ * 给图组上环, 参数同 addCircle, 新环的命中范围和当前指针类型一致
+ *
+ * @param {Container} container
+ * @param {KonvaNode} group
+ * @param {string} category
+ * @param {number} pointStart
+ * @returns {KonvaNode} addCircle 的返回值
+ */
+function addGroupCircle(container, group, category, pointStart, ...args) {
+  const result = addCircle(group, category, pointStart, ...args);
+  const circle = group.findOne((node) => isCircle(node)
+    && node.name() === category
+    && node.__pointStart === pointStart);
+  if (circle) {
+    circle.hitStrokeWidth(getCircleHitStrokeWidth(container));
+  }
+  return result;
+}
+
+/**
+ * 获取画图边界, 统一为多边形坐标
+ *
+ * @param {Container} container
+ * @returns {number[]|null} 没有边界时返回 null
+ */
+function getBoundary(container) {
+  const boundary = container.get('boundary');
+  if (!boundary) {
+    return null;
+  }
+  if (Array.isArray(boundary)) {
+    return boundary;
+  }
+
+  let { x = 0, y = 0, width, height } = boundary;
+  const background = container.get('background');
+  if (boundary === 'image' && background) {
+    ({ x, y } = background);
+    width = background.width * background.scaleX;
+    height = background.height * background.scaleY;
+  }
+  else if (typeof boundary === 'string') {
+    const stage = container.get('stage');
+    x = 0;
+    y = 0;
+    width = stage.width();
+    height = stage.height();
+  }
+  return [x, y, x + width, y, x + width, y + height, x, y + height];
+}
+
+/**
+ * 边界是否是矩形
+ *
+ * @param {Container} container
+ * @returns {boolean}
+ */
+function isRectBoundary(container) {
+  return !Array.isArray(container.get('boundary'));
+}
+
+/**
+ * 点是否在边界内
+ *
+ * @param {Container} container
+ * @param {number} x
+ * @param {number} y
+ * @returns {boolean}
+ */
+function isInBoundary(container, x, y) {
+  const boundary = getBoundary(container);
+  return !boundary || pointInPolygon(x, y, boundary);
+}
+
+/**
+ * 第一个超出边界的点, 边上的点不算超出
+ *
+ * @param {Container} container
+ * @param {number[]} points
+ * @returns {{x: number, y: number}|null} 都在边界内时返回 null
+ */
+function findOutOfBoundary(container, points) {
+  let outside = null;
+  eachPoint(points, (x, y) => {
+    // 多边形边界上的点会被取整, 允许半个像素的误差
+    const pos = clampPoint(container, { x, y });
+    if (!outside && distanceBetween(x, y, pos.x, pos.y) > 0.5) {
+      outside = { x, y };
+    }
+  });
+  return outside;
+}
+
+/**
+ * 把点限制在边界内
+ *
+ * @param {Container} container
+ * @param {{x: number, y: number}} pos
+ * @returns {{x: number, y: number}}
+ */
+function clampPoint(container, pos) {
+  const boundary = getBoundary(container);
+  if (!boundary || pointInPolygon(pos.x, pos.y, boundary)) {
+    return pos;
+  }
+
+  if (isRectBoundary(container)) {
+    return {
+      x: Math.min(Math.max(pos.x, boundary[0]), boundary[2]),
+      y: Math.min(Math.max(pos.y, boundary[1]), boundary[5])
+    };
+  }
+
+  const { x, y } = closestPointOnPolygon(pos.x, pos.y, boundary);
+  return {
+    x: Math.round(x),
+    y: Math.round(y)
+  };
+}
+
+/**
+ * 环的拖动限制, pos 为绝对坐标
+ *
+ * @param {Container} container
+ * @param {KonvaNode} circle
+ * @param {{x: number, y: number}} pos
+ * @returns {{x: number, y: number}}
+ */
+function boundCirclePosition(container, circle, pos) {
+  const transform = circle.getParent().getAbsoluteTransform();
+  const local = transform.copy().invert().point(pos);
+  return transform.point(clampPoint(container, local));
+}
+
+/**
+ * 图组的拖动限制, 图组内所有图形都要在边界内, pos 为绝对坐标
+ *
+ * @param {Container} container
+ * @param {KonvaNode} group
+ * @param {{x: number, y: number}} pos
+ * @param {KonvaNode[]} [groups] 一起拖动的图组
+ * @returns {{x: number, y: number}}
+ */
+function boundGroupPosition(container, group, pos, groups = [group]) {
+  const boundary = getBoundary(container);
+  const transform = group.getParent().getAbsoluteTransform();
+  const offset = transform.copy().invert().point(pos);
+
+  const points = [];
+  groups.forEach((n) => {
+    n.getChildren((shape) => {
+      if (isShape(shape)) {
+        points.push(...shape.points());
+      }
+    });
+  });
+
+  // 矩形边界直接限制偏移量
+  if (isRectBoundary(container)) {
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    eachPoint(points, (x, y) => {
+      minX = Math.min(minX, x);
+      minY = Math.min(minY, y);
+      maxX = Math.max(maxX, x);
+      maxY = Math.max(maxY, y);
+    });
+
+    return transform.point({
+      x: Math.min(Math.max(offset.x, boundary[0] - minX), boundary[2] - maxX),
+      y: Math.min(Math.max(offset.y, boundary[1] - minY), boundary[5] - maxY)
+    });
+  }
+
+  // 多边形边界超出时停在原位置
+  let inside = true;
+  eachPoint(points, (x, y) => {
+    inside = inside && pointInPolygon(x + offset.x, y + offset.y, boundary);
+  });
+  return inside ? pos : group.absolutePosition();
+}
+
+/**
+ * 导出前临时去掉缩放平移和不需要的辅助元素, 导出后还原
+ *
+ * @param {Container} container
+ * @param {object} opts 见 toDataURL
+ * @param {function} fn (config) => any
+ * @returns {any}
+ */
+function renderStage(container, opts, fn) {
+  const stage = container.get('stage');
+  const layer = container.get('layer');
+  const helperLayer = container.get('helperLayer');
+  const background = container.get('background');
+
+  const scale = stage.scale();
+  const position = stage.position();
+  stage.scale({ x: 1, y: 1 });
+  stage.position({ x: 0, y: 0 });
+
+  const hiddenNodes = [helperLayer];
+  if (opts.circles === false) {
+    layer.find((node) => isCircle(node) || node.name() === 'midpoints').each((node) => {
+      hiddenNodes.push(node);
+    });
+  }
+  const hoveredGroups = [];
+  if (opts.hover === false) {
+    layer.getChildren((group) => {
+      if (group.__hover) {
+        hoveredGroups.push(group);
+        displayGroup(container, group, { hover: false });
+      }
+    });
+  }
+  const visibleNodes = hiddenNodes.filter((node) => node.visible());
+  visibleNodes.forEach((node) => node.hide());
+  keepScreenSize(container);
+
+  // 有背景时导出背景区域, 分辨率和原图一致
+  const config = Object.assign({}, opts);
+  if (background) {
+    Object.assign(config, {
+      x: background.x,
+      y: background.y,
+      width: background.width * background.scaleX,
+      height: background.height * background.scaleY,
+      pixelRatio: 1 / background.scaleX
+    }, opts);
+  }
+
+  try {
+    return fn(config);
+  }
+  finally {
+    visibleNodes.forEach((node) => node.show());
+    hoveredGroups.forEach((group) => {
+      displayGroup(container, group, { hover: true });
+    });
+    stage.scale(scale);
+    stage.position(position);
+    keepScreenSize(container);
+    stage.batchDraw();
+  }
+}
+
+/**
+ * 正在画的图组
+ *
+ * @param {Container} container
+ * @returns {KonvaNode|null}
+ */
+function getDrawingGroup(container) {
+  const shape = container.get('currentShape') || container.get('prevShape');
+  return shape ? shape.getParent() : null;
+}
+
+/**
+ * 画图时角度吸附的起点, 即上一个点
+ *
+ * @param {Container} container
+ * @returns {{x: number, y: number}|null}
+ */
+function getDrawAnchor(container) {
+  const currentPoints = container.get('state') === STATE_DRAWING
+    && container.get('currentPoints');
+  if (!currentPoints) {
+    return null;
+  }
+  const l = currentPoints.length;
+  return { x: currentPoints[l - 2], y: currentPoints[l - 1] };
+}
+
+/**
+ * 吸附到其他图组的顶点、边、网格, 按住 Shift 时按角度吸附, 并显示辅助线
+ *
+ * @param {Container} container
+ * @param {{x: number, y: number}} pos 图层坐标
+ * @param {KonvaEvent} evt
+ * @param {KonvaNode|null} group 不参与吸附的图组
+ * @param {{x: number, y: number}|null} anchor 角度吸附的起点
+ * @returns {{x: number, y: number}}
+ */
+function snapPosition(container, pos, evt, group, anchor) {
+  const snapping = container.get('snapping');
+  if (!snapping) {
+    return pos;
+  }
+
+  const shapes = [];
+  container.get('layer').getChildren((node) => {
+    if (node.getClassName() !== 'Group' || node === group || !node.visible()) {
+      return;
+    }
+    node.getChildren((shape) => {
+      if (isShape(shape)) {
+        shapes.push({
+          points: shape.points(),
+          closed: typeof shape.closed === 'function' && shape.closed()
+        });
+      }
+    });
+  });
+
+  const shiftKey = !!(evt && evt.evt && evt.evt.shiftKey);
+  const result = snapPoint(pos.x, pos.y, Object.assign({}, snapping, {
+    shapes,
+    anchor: shiftKey ? anchor : null,
+    angle: shiftKey ? snapping.angle : 0,
+    // 缩放时保持屏幕上的吸附半径不变
+    tolerance: snapping.tolerance / container.get('stage').scaleX()
+  }));
+
+  displaySnapGuides(container, result);
+
+  // 吸附后也不能超出边界
+  const { x, y } = clampPoint(container, result);
+  return { x, y };
+}
+
+/**
+ * 显示吸附辅助线, 不传 result 时隐藏
+ *
+ * @param {Container} container
+ * @param {object} [result] snapPoint 的结果
+ */
+function displaySnapGuides(container, result) {
+  const helperLayer = container.get('helperLayer');
+  const guides = helperLayer.find('.snapGuide');
+  if (!guides.length && !(result && result.type)) {
+    return;
+  }
+  guides.destroy();
+
+  const scale = container.get('stage').scaleX();
+  const guideConfig = {
+    name: 'snapGuide',
+    stroke: '#FF4D4F',
+    strokeWidth: 1,
+    strokeScaleEnabled: false
+  };
+
+  switch (result && result.type) {
+    case 'vertex':
+      helperLayer.add(new Circle(Object.assign({
+        x: result.x,
+        y: result.y,
+        radius: 8 / scale
+      }, guideConfig)));
+      break;
+
+    case 'edge':
+      helperLayer.add(new Line(Object.assign({
+        points: result.guide
+      }, guideConfig)));
+      helperLayer.add(new Circle(Object.assign({
+        x: result.x,
+        y: result.y,
+        radius: 4 / scale
+      }, guideConfig)));
+      break;
+
+    case 'angle':
+      helperLayer.add(new Line(Object.assign({
+        points: [result.guide.x, result.guide.y, result.x, result.y],
+        dash: [4 / scale, 4 / scale]
+      }, guideConfig)));
+      break;
+
+    default:
+  }
+
+  helperLayer.batchDraw();
+}
+
+/**
+ * 获取当前指针坐标
+ *
+ * @param {Container} container
+ * @returns {{x: number, y: number}|null} 还没有任何坐标时为 null, 比如移动前的 touchend
+ */
+function getPointerPosition(container) {
+  // touchend 时可能拿不到坐标, 使用最后一次的坐标
+  let pos = container.get('stage').getPointerPosition();
+  if (pos) {
+    // 转换到缩放平移前的图层坐标
+    pos = container.get('layer').getAbsoluteTransform().copy().invert().point(pos);
+  }
+  else {
+    pos = container.get('pointerPosition');
+  }
+  if (!pos) {
+    return null;
+  }
+  container.set('pointerPosition', pos);
+  return {
+    x: Math.round(pos.x),
+    y: Math.round(pos.y)
+  };
+}
+
+/**
+ * 图层坐标转换为画布上的坐标
+ *
+ * @param {Container} container
+ * @param {number[]} points
+ * @returns {number[]}
+ */
+function toStagePoints(container, points) {
+  const transform = container.get('layer').getAbsoluteTransform();
+  const result = [];
+  eachPoint(points, (x, y) => {
+    const pos = transform.point({ x, y });
+    result.push(pos.x, pos.y);
+  });
+  return result;
+}
+
+/**
+ * 在图组旁显示确认浮层
+ *
+ * @param {Container} container
+ * @param {KonvaNode} group
+ */
+function showConfirmation(container, group) {
+  // 只有手动确认时显示浮层
+  if (container.get('confirm') !== 'manual') {
+    return;
+  }
+  displayConfirmation(container, toStagePoints(container, getGroupPoints(group)));
+}
+
+/**
+ * 设置坐标
+ *
+ * @param {Container} container
+ * @param {object[]} newValue
+ * @param {boolean} [force] 是否强制重绘
+ * @returns {boolean} 是否设置了value
+ */
+function setValue(container, newValue, force) {
+  // 数组不相等的情况下才更新
+  if (!force && valueEquals(container.get('value'), newValue)) {
+    return false;
+  }
+
+  const layer = container.get('layer');
+  layer.destroyChildren();
+  container.set('selectedGroups', []);
+
+  // 图形配置
+  const shapeConfig = container.get('shapeConfig');
+  const defaults = container.get('defaultShapeConfig');
+
+  // 未画完的图组
+  let unfinishedGroup = null;
+
+  // 没有 id 的图组自动生成
+  newValue = newValue.map((p) => {
+    return p.id ? p : Object.assign({ id: createId() }, p);
+  });
+
+  // 创建图形
+  newValue.forEach((p) => {
+    const { id, type } = p;
+
+    const group = new Group({
+      id,
+      name: type
+    });
+
+    // 当前图形配置
+    const currentShapeConfig = colorShapeConfig(
+      type ? shapeConfig[type] : defaults,
+      p.color,
+    );
+
+    // 暂存图形配置
+    group.__shapeConfig = currentShapeConfig;
+
+    // 暂存坐标
+    group.__value = {};
+    group.__preValue = {};
+    group.__skipped = {};
+
+    // 按分类依次画图
+    eachCategory((handler) => {
+      const field = p[handler.key];
+      if (!field) {
+        return;
+      }
+
+      const points = handler.deserialize(field);
+      group.add(handler.create(currentShapeConfig, points, true));
+      addMidpoints(container, group, handler.name);
+      addRectHandles(container, group, handler.name);
+      // 上环
+      eachPoint(points, (x, y, pointIndex, pointStart) => {
+        addGroupCircle(
+          container, group, handler.name, pointStart, currentShapeConfig, x, y, false, true
+        );
+      });
+
+      group.__value[handler.key] = points;
+    });
+
+    addLabel(container, group, p);
+
+    layer.add(group);
+    applyGroupFlags(container, group, p);
+
+    if (!isGroupComplete(container, group)) {
+      unfinishedGroup = group;
+    }
+    else {
+      // 没有画的可选图形视为跳过
+      container.get('steps').forEach(({ category, optional }) => {
+        if (optional && !group.__value[getCategory(category).key]) {
+          group.__skipped[category] = true;
         }
       });
+    }
+  });
+
+  resetInternalProps(container);
+
+  // 重置数组
+  container
+    .set('value', newValue)
+    .set('drews', countDrews(container));
+  keepScreenSize(container);
+
+  // 接着画未完成的图组
+  if (unfinishedGroup) {
+    resumeDrawing(container, unfinishedGroup);
+  }
+
+  return true;
+}
+
+/**
+ * 恢复到图组画了一半、待画下一步的状态
+ *
+ * @param {Container} container
+ * @param {KonvaNode} group
+ */
+function resumeDrawing(container, group) {
+  group.draggable(true);
+
+  container
+    .set('state', STATE_DRAWING)
+    .set('category', nextStep(container, group))
+    .set('prevShape', group.findOne(isShape))
+    .set('selectedGroup', group);
+}
+
+/**
+ * 获取图组下一步要画的图形分类
+ *
+ * @param {Container} container
+ * @param {KonvaNode} group
+ * @returns {string|undefined} 已画完时返回 undefined
+ */
+function nextStep(container, group) {
+  const step = container.get('steps').find(({ category }) => {
+    return !group.__value[getCategory(category).key] && !group.__skipped[category];
+  });
+  return step && step.category;
+}
+
+/**
+ * 图组必画的图形是否都画完了
+ *
+ * @param {Container} container
+ * @param {KonvaNode} group
+ * @returns {boolean}
+ */
+function isGroupComplete(container, group) {
+  return container.get('steps').every(({ category, optional }) => {
+    return optional || !!group.__value[getCategory(category).key];
+  });
+}
+
+/**
+ * 必画的图形都确认过的图组数量
+ *
+ * @param {Container} container
+ * @param {KonvaNode} [exclude] 不计入的图组
+ * @returns {number}
+ */
+function countCompleteGroups(container, exclude) {
+  let count = 0;
+  container.get('layer').getChildren((group) => {
+    if (group !== exclude && isGroupComplete(container, group)) {
+      count++;
+    }
+  });
+  return count;
+}
+
+/**
+ * 画完的图组数量, 正在接着画可选图形的图组先不算, 否则达到分组上限时不能接着画
+ *
+ * @param {Container} container
+ * @returns {number}
+ */
+function countDrews(container) {
+  const prevShape = container.get('prevShape');
+  return countCompleteGroups(container, prevShape && prevShape.getParent());
+}
+
+/**
+ * 解析画图步骤, 比如 ['poly', 'arrow?'], 带 ? 的为可选步骤
+ *
+ * @param {string[]} steps
+ * @returns {object[]}
+ */
+function parseSteps(steps) {
+  return steps.map((step, i) => {
+    const optional = step.slice(-1) === '?';
+    const category = optional ? step.slice(0, -1) : step;
+
+    // 检查图形分类是否已注册
+    getCategory(category);
+
+    if (optional && i === 0) {
+      throw new Error(`第一步图形 ${category} 不能是可选的`);
+    }
+
+    return { category, optional };
+  });
+}
+
+/**
+ * 转换成对外的 value
+ *
+ * @param {Container} container
+ * @param {object[]} value
+ * @returns {object[]}
+ */
+function exportValue(container, value) {
+  const background = container.get('background');
+  if (container.get('imageSpace') && background) {
+    return stage2image(value, background);
+  }
+  return toExternalValue(container, value);
+}
+
+/**
+ * 对外的 value 转换成画布像素坐标, 使用图片坐标时需要背景已经加载
+ *
+ * @param {Container} container
+ * @param {object[]} value
+ * @returns {object[]}
+ */
+function toInternalValue(container, value) {
+  if (container.get('imageSpace')) {
+    return image2stage(value, container.get('background'));
+  }
+  if (container.get('decimals')) {
+    const stage = container.get('stage');
+    return ratio2px(value, stage.width(), stage.height());
+  }
+  return cloneValue(value); // 避免修改外部传入的图组
+}
+
+/**
+ * 画布像素坐标转换成对外的 value, 使用小数时转换成比例
+ *
+ * @param {Container} container
+ * @param {object[]} value
+ * @returns {object[]}
+ */
+function toExternalValue(container, value) {
+  const decimals = container.get('decimals');
+  if (!decimals) {
+    return cloneValue(value);
+  }
+  const stage = container.get('stage');
+  return px2ratio(value, stage.width(), stage.height(), decimals);
+}
+
+/**
+ * 像素坐标的 value, 使用图片坐标时为图片像素, 否则为画布像素
+ *
+ * @param {Container} container
+ * @returns {object[]}
+ */
+function getPixelValue(container) {
+  const value = container.get('value');
+  if (container.get('imageSpace') && container.get('background')) {
+    return exportValue(container, value);
+  }
+  return cloneValue(value);
+}
+
+/**
+ * 像素坐标对应的尺寸
+ *
+ * @param {Container} container
+ * @returns {{width: number, height: number}}
+ */
+function getPixelSize(container) {
+  const background = container.get('background');
+  if (container.get('imageSpace') && background) {
+    return {
+      width: background.width,
+      height: background.height
+    };
+  }
+  const stage = container.get('stage');
+  return {
+    width: stage.width(),
+    height: stage.height()
+  };
+}
+
+/**
+ * 用像素坐标的 value 设置, 使用小数时先转换成比例
+ *
+ * @param {Container} container
+ * @param {object[]} value
+ * @returns {boolean}
+ */
+function setPixelValue(container, value) {
+  return container.setValue(container.get('imageSpace')
+    ? value
+    : toExternalValue(container, value));
+}
+
+/**
+ * 重置历史记录
+ *
+ * @param {Container} container
+ */
+function resetHistory(container) {
+  return container
+    .set('history', [cloneValue(container.get('value'))])
+    .set('historyIndex', 0);
+}
+
+/**
+ * 记录一步历史
+ *
+ * @param {Container} container
+ */
+function recordHistory(container) {
+  // 丢弃已撤销的记录
+  const history = container.get('history').slice(0, container.get('historyIndex') + 1);
+  history.push(cloneValue(container.get('value')));
+
+  const historySize = container.get('historySize');
+  if (history.length > historySize) {
+    history.splice(0, history.length - historySize);
+  }
+
+  return container
+    .set('history', history)
+    .set('historyIndex', history.length - 1);
+}
+
+/**
+ * 撤销或恢复
+ *
+ * @param {Container} container
+ * @param {number} step -1 撤销, 1 恢复
+ * @returns {boolean}
+ */
+function goHistory(container, step) {
+  const history = container.get('history');
+  const index = container.get('historyIndex') + step;
+  if (index < 0 || index >= history.length) {
+    return false;
+  }
+
+  // 丢弃未确认的修改
+  displayConfirmation(container);
+  displayCursorBalloon(container);
+
+  container.set('historyIndex', index);
+  setValue(container, cloneValue(history[index]), true);
+  container.get('layer').batchDraw();
+
+  container.emit(step < 0 ? 'undo' : 'redo', container);
+  container.emit('change', exportValue(container, container.get('value')), container);
+  return true;
+}
+
+/**
+ * 图组是否都可以合并、分割等编辑
+ *
+ * @param {Container} container
+ * @param {KonvaNode[]} groups
+ * @returns {boolean}
+ */
+function canEditGroups(container, groups) {
+  // 未确定的状态不能编辑
+  if (container.get('state') || container.get('action') || container.get('cutting')) {
+    return false;
+  }
+  return groups.every((group) => group
+    && !isGroupLocked(container, group)
+    && findShape(group, CATEGORY_POLY));
+}
+
+/**
+ * 合并、分割后是否还未确认, 这时不能再拖动或者调整图形, 否则会覆盖 action, 确认和取消时无法还原
+ *
+ * @param {Container} container
+ * @returns {boolean}
+ */
+function isEditPending(container) {
+  return container.get('action') === ACTION_EDIT;
+}
+
+/**
+ * 按新的 value 显示合并、分割后的图组并等待确认, 取消时还原
+ *
+ * @param {Container} container
+ * @param {object[]} newValue
+ * @param {string} id 确认浮层显示在该图组上
+ */
+function editGroups(container, newValue, id) {
+  const prevValue = container.get('value');
+
+  clearSelectedGroups(container);
+  setValue(container, newValue, true);
+
+  const group = findGroup(container, id);
+  toggleSelectedGroup(container, group.findOne(isShape));
+  container
+    .set('editingValue', prevValue)
+    .set('action', ACTION_EDIT)
+    .set('state', STATE_PENDING)
+    .set('selectedGroup', group);
+
+  container.get('layer').batchDraw();
+
+  // 等待确认
+  requestConfirmation(container, group);
+}
+
+/**
+ * 确认合并、分割
+ *
+ * @param {Container} container
+ */
+function resolveEdited(container) {
+  const prevValue = container.get('editingValue');
+  const value = container.get('value');
+
+  displayGroup(
+    container,
+    container.get('selectedGroup'),
+    { circle: false, hover: true },
+  );
+
+  container
+    .set('editingValue', null)
+    .set('state', null)
+    .set('action', null)
+    .set('selectedGroup', null);
+
+  recordHistory(container);
+
+  const newValue = exportValue(container, value);
+  // 合并后删除的图组
+  prevValue.forEach(({ id }) => {
+    if (!value.some((n) => n.id === id)) {
+      container.emit('delete', id, newValue, container);
+    }
+  });
+  container.emit('change', newValue, container);
+}
+
+/**
+ * 取消合并、分割, 还原修改前的 value
+ *
+ * @param {Container} container
+ */
+function rejectEdited(container) {
+  setValue(container, container.get('editingValue'), true);
+  container.get('layer').batchDraw();
+}
 
-      // 显示确认浮层
-      displayConfirmation(container, group.__points);
+/**
+ * 合并图组的多边形
+ *
+ * @param {Container} container
+ * @param {string[]} ids
+ * @returns {boolean}
+ */
+function mergeGroups(container, ids) {
+  const groups = ids.map((id) => findGroup(container, id));
+  if (groups.length < 2 || !canEditGroups(container, groups)) {
+    return false;
+  }
+
+  const handler = getCategory(CATEGORY_POLY);
+  const items = groups.map((group) => getGroupItem(container, group));
+  let points = handler.deserialize(items[0][handler.key]);
+  for (let i = 1; i < items.length && points; i++) {
+    points = unionPolygons(points, handler.deserialize(items[i][handler.key]));
+  }
+  if (!points) {
+    return false;
+  }
 
-      // 画完一个箭头后确认提示
-      container.emit('confirm');
-    }
-  });
+  // 合并后的轮廓也要满足校验规则
+  const invalid = validatePolygon(
+    points,
+    Object.assign({}, container.get('validation'), { selfIntersection: true }),
+  );
+  if (invalid) {
+    container.emit('invalid', invalid, groups[0], container);
+    return false;
+  }
 
-  // 用于处理画箭头完成
-  stage.on('mouseup', () => {
-    const category = container.get('category');
-    // 不能画或者不是画箭头的时候不处理
-    if (!(container.get('action') === ACTION_DRAW
-        && container.get('state') === STATE_DRAWING
-        && category === CATEGORY_ARROW)) {
-      return;
-    }
+  const [first, ...others] = ids;
+  const newValue = container.get('value')
+    .filter((n) => !others.includes(n.id))
+    .map((n) => (n.id === first
+      ? Object.assign({}, n, { [handler.key]: handler.serialize(points) })
+      : n));
 
-    let { x, y } = stage.getPointerPosition();
-    x = Math.round(x);
-    y = Math.round(y);
+  editGroups(container, newValue, first);
+  return true;
+}
 
-    const currentShape = container.get('currentShape');
-    const currentPoints = container.get('currentPoints');
+/**
+ * 沿线段分割图组的多边形
+ *
+ * @param {Container} container
+ * @param {KonvaNode} group
+ * @param {number[]} line 画布像素坐标
+ * @returns {boolean}
+ */
+function splitGroup(container, group, line) {
+  const handler = getCategory(CATEGORY_POLY);
+  const item = getGroupItem(container, group);
+  const pieces = splitPolygon(handler.deserialize(item[handler.key]), ...line);
+  if (!pieces) {
+    container.emit('invalid', {
+      reason: 'split',
+      message: '分割线两端要在多边形外, 并且只能穿过多边形两次'
+    }, group, container);
+    return false;
+  }
 
-    // 距离小于5像素被认为是不合法操作
-    if (distanceBetween(x, y, currentPoints[0], currentPoints[1]) < 5) {
-      rejectDrewArrow(container);
+  const newValue = [];
+  container.get('value').forEach((n) => {
+    if (n.id !== item.id) {
+      newValue.push(n);
       return;
     }
 
-    const group = currentShape.getParent();
-    const currentShapeConfig = group.__shapeConfig;
-
-    // 上环
-    addCircle(
-      group, category, currentPoints.length, currentShapeConfig, x, y, true, true
+    // 第一块保留原来的 id, 第二块复制其他字段
+    const [copy] = cloneValue([n]);
+    if (copy.attributes) {
+      copy.attributes = Object.assign({}, copy.attributes);
+    }
+    newValue.push(
+      Object.assign({}, n, { [handler.key]: handler.serialize(pieces[0]) }),
+      Object.assign(copy, { id: createId(), [handler.key]: handler.serialize(pieces[1]) }),
     );
+  });
 
-    currentPoints.push(x, y);
-    currentShape.points(currentPoints);
-
-    group.__preDirection = currentPoints;
-
-    layer.batchDraw();
+  editGroups(container, newValue, item.id);
+  return true;
+}
 
-    container
-      .set('state', STATE_PENDING);
+/**
+ * 修改图组多边形的坐标, 和增删顶点一样等待确认
+ *
+ * @param {Container} container
+ * @param {string} id
+ * @param {function} fn (points) => 新的坐标, 返回 null 表示不能修改
+ * @returns {boolean}
+ */
+function reshapeGroup(container, id, fn) {
+  const group = findGroup(container, id);
+  if (!canEditGroups(container, [group])) {
+    return false;
+  }
 
-    group.getChildren((node) => {
-      if (isCircle(node)) {
-        node.draggable(true);
-      }
-    });
+  const points = fn(findShape(group, CATEGORY_POLY).points().slice(0));
+  if (!points || points.length < 6) {
+    return false;
+  }
 
-    // 显示确认浮层
-    displayConfirmation(container, group.__points);
+  // 扩张后超出边界时不修改
+  const outside = findOutOfBoundary(container, points);
+  if (outside) {
+    container.emit('outOfBoundary', outside, container);
+    return false;
+  }
 
-    // 画完一个箭头后确认提示
-    container.emit('confirm');
-  });
+  clearSelectedGroups(container);
+  if (group !== container.get('selectedGroup')) {
+    toggleSelectedGroup(container, group.findOne(isShape));
+  }
+  editVertex(container, group, points);
+  return true;
+}
 
-  // 画图中
-  stage.on('mousemove', () => {
-    // 当正在画图时才触发
-    if (!(container.get('action') === ACTION_DRAW
-        && container.get('state') === STATE_DRAWING)) {
-      return;
-    }
-    let { x, y } = stage.getPointerPosition();
-    x = Math.round(x);
-    y = Math.round(y);
+/**
+ * 等待用户在画布上拖出分割线, 期间图组不响应操作
+ *
+ * @param {Container} container
+ * @param {KonvaNode} group
+ */
+function startCutting(container, group) {
+  clearSelectedGroups(container);
+  container.set('cutting', group.id());
+  container.get('layer').listening(false);
+  container.emit('startCut', group.id(), container);
+}
 
-    // 实时画图
-    const currentShape = container.get('currentShape');
-    const currentPoints = container.get('currentPoints');
-    // 下次点击才记录点坐标
-    currentShape.points(currentPoints.concat(x, y));
-    if (currentShape.lastDashEnabled) {
-      currentShape.lastDashEnabled(true);
-    }
-    layer.batchDraw();
-  });
+/**
+ * 结束拖出分割线
+ *
+ * @param {Container} container
+ */
+function endCutting(container) {
+  const helperLayer = container.get('helperLayer');
+  helperLayer.find('.cutLine').destroy();
+  helperLayer.batchDraw();
 
-  return container;
+  container.set('cutting', null);
+  container.get('layer').listening(true);
 }
 
 /**
- * 监听图形拖拽
+ * 监听拖出分割线, 松开时沿分割线分割图组
+ *
  * @param {Container} container
  */
-function onDrag(container) {
-  const layer = container.get('layer');
+function onCut(container) {
+  const stage = container.get('stage');
+  const helperLayer = container.get('helperLayer');
+  let line = null;
 
-  // 拖动开始
-  layer.on('dragstart', 'Group', (evt) => {
-    const { currentTarget, target } = evt;
-    const selectedGroup = container.get('selectedGroup');
-    // 一定要在选中的时候才处理
-    if (target !== selectedGroup // 事件冒泡会触发子元素
-      || currentTarget !== selectedGroup) {
+  stage.on('mousedown touchstart', (evt) => {
+    if (detectPointer(container, evt)) {
       return;
     }
 
-    container.set('action', ACTION_DRAG);
+    const pointer = getPointerPosition(container);
+    if (!container.get('cutting') || !pointer || isPanTrigger(container, evt)) {
+      return;
+    }
 
-    // 隐藏气泡
-    displayCursorBalloon(container);
-    // 隐藏确认浮层
-    displayConfirmation(container);
+    const { x, y } = pointer;
+    line = new Line({
+      name: 'cutLine',
+      points: [x, y, x, y],
+      stroke: '#F5222D',
+      strokeWidth: 1,
+      strokeScaleEnabled: false,
+      dash: [4, 4]
+    });
+    helperLayer.add(line);
   });
 
-  // 拖动中
-  layer.on('dragmove', 'Group', () => {
-    // 隐藏气泡
-    displayCursorBalloon(container);
+  stage.on('mousemove touchmove', () => {
+    const pointer = getPointerPosition(container);
+    if (!line || !pointer) {
+      return;
+    }
+
+    const { x, y } = pointer;
+    const [x1, y1] = line.points();
+    line.points([x1, y1, x, y]);
+    helperLayer.batchDraw();
   });
 
-  // 拖动结束
-  layer.on('dragend', 'Group', () => {
-    // 一定要在拖拽了之后处理
-    if (container.get('action') !== ACTION_DRAG) {
+  stage.on('mouseup touchend', () => {
+    if (!line) {
       return;
     }
 
-    container.set('state', STATE_PENDING);
-
-    const selectedGroup = container.get('selectedGroup');
-    // 调整图形位置;
-    const { x: offsetX, y: offsetY } = selectedGroup.absolutePosition();
-    selectedGroup.absolutePosition({ x: 0, y: 0 });
-    selectedGroup.getChildren((shape) => {
-      if (shape.getClassName() === 'Circle') {
-        const { x, y } = shape.absolutePosition();
-        shape.absolutePosition({
-          x: offsetX + x,
-          y: offsetY + y
-        });
-      }
-      else {
-        const points = shape.points().map((p, j) => {
-          return p + (j % 2 ? offsetY : offsetX);
-        });
-        shape
-          .absolutePosition({ x: 0, y: 0 })
-          .points(points);
-      }
-    });
+    const points = line.points();
+    const group = findGroup(container, container.get('cutting'));
+    line = null;
+    endCutting(container);
 
-    // 显示确认浮层
-    displayConfirmation(container, selectedGroup.findOne('LastSectionDashLine').points());
-    // 画完一个多边形后确认提示
-    container.emit('confirm');
+    if (group) {
+      splitGroup(container, group, points);
+    }
   });
-
-  return container;
 }
 
 /**
- * 监听调整图形
+ * 删除图组, 多个图组一起删除时只触发一次 change
  *
  * @param {Container} container
+ * @param {KonvaNode[]} groups
  */
-function onRectify(container) {
-  const layer = container.get('layer');
+function removeGroups(container, groups) {
+  const ids = groups.map((group) => {
+    const id = group.id();
+    const prevShape = container.get('prevShape');
+    // 删除的是正在画或者正在调整的图组
+    const editing = group === container.get('selectedGroup')
+      || (prevShape && prevShape.getParent() === group);
+
+    group.destroy();
+
+    if (editing) {
+      displayConfirmation(container);
+      resetInternalProps(container);
+    }
+    container.set('drews', countDrews(container));
 
-  // 开始调整大小
-  layer.on('dragstart', 'Circle', (evt) => {
-    container.set('action', ACTION_RECTIFY);
+    updateValue(container, id); // 删除并更新 value
+    return id;
+  });
 
-    const circle = evt.currentTarget;
-    const { x, y } = circle.absolutePosition();
-    circle.__dragStartX = x;
-    circle.__dragStartY = y;
+  // 删除了等待分割的图组
+  if (ids.includes(container.get('cutting'))) {
+    endCutting(container);
+  }
 
-    let shape;
-    const group = circle.getParent();
-    checkCategory(circle.name(), () => { // 多边形
-      shape = group.findOne('LastSectionDashLine');
-    }, () => { // 方向
-      shape = group.findOne('Arrow');
-    });
+  container.get('layer').batchDraw();
 
-    shape.__currentCircle = circle;
+  recordHistory(container);
 
-    container
-      .set('currentShape', shape)
-      .set('currentPoints', shape.points());
+  // 转换 value
+  const newValue = exportValue(container, container.get('value'));
 
-    // 隐藏气泡
-    displayCursorBalloon(container);
-    // 隐藏确认浮层
-    displayConfirmation(container);
+  ids.forEach((id) => {
+    container.emit('delete', id, newValue, container);
   });
+  container.emit('change', newValue, container);
+}
 
-  // 正在调整大小
-  layer.on('dragmove', 'Circle', (evt) => {
-    const circle = evt.currentTarget;
-    const { x, y } = circle.absolutePosition();
-
-    const pointStart = circle.__pointStart;
-    const currentShape = container.get('currentShape');
-    const points = container.get('currentPoints').slice(0);
+/**
+ * 按 id 查找图组
+ *
+ * @param {Container} container
+ * @param {string} id
+ * @returns {KonvaNode|undefined}
+ */
+function findGroup(container, id) {
+  return container.get('layer').findOne((node) => {
+    return node.getClassName() === 'Group' && node.id() === id;
+  });
+}
 
-    points[pointStart] += x - circle.__dragStartX;
-    points[pointStart + 1] += y - circle.__dragStartY;
-    currentShape.points(points);
+/**
+ * 使用图组自己的颜色覆盖图形配置
+ *
+ * @param {object} shapeConfig
+ * @param {string} [color]
+ * @returns {object}
+ */
+function colorShapeConfig(shapeConfig, color) {
+  if (!color) {
+    return shapeConfig;
+  }
 
-    layer.batchDraw();
+  const { r, g, b } = Util.colorToRGBA(color);
+  return Object.assign({}, shapeConfig, {
+    stroke: color,
+    fill: `rgba(${r},${g},${b},0.2)`,
+    hoveredFill: `rgba(${r},${g},${b},0.5)`
   });
+}
 
-  // 调整大小完成
-  layer.on('dragend', 'Circle', (evt) => {
-    const circle = evt.currentTarget;
-    const selectedGroup = container.get('selectedGroup');
-
-    container.set('state', STATE_PENDING);
+/**
+ * 给图组加上标签
+ *
+ * @param {Container} container
+ * @param {KonvaNode} group
+ * @param {object} item value 中的图组
+ */
+function addLabel(container, group, item) {
+  if (!item.label) {
+    return;
+  }
 
-    // 显示确认浮层
-    displayConfirmation(container, selectedGroup.findOne('LastSectionDashLine').points());
+  const shapeConfig = Object.assign({}, defaultShapeConfig, group.__shapeConfig);
+  const label = new Label({
+    name: 'label',
+    listening: false
+  });
+  const tag = new Tag({
+    fill: shapeConfig.stroke,
+    cornerRadius: 2
+  });
+  const text = new Text({
+    text: String(item.label),
+    fontSize: shapeConfig.labelFontSize,
+    fill: shapeConfig.labelColor,
+    padding: 3
+  });
+  // 标签不是图形, 拖拽、调整和 value 转换都要跳过
+  label.__helper = true;
+  tag.__helper = true;
+  text.__helper = true;
+  label.__anchor = item.labelAnchor || container.get('labelAnchor');
 
-    delete circle.__dragStartX;
-    delete circle.__dragStartY;
+  label.add(tag);
+  label.add(text);
+  group.add(label);
 
-    container.emit('confirm');
-  });
+  layoutLabel(group);
 }
 
 /**
- * 监听非画图操作
+ * 按多边形或者第一个图形的坐标放置标签
  *
- * @param {Container} container
+ * @param {KonvaNode} group
  */
-function onManipulate(container) {
-  const stage = container.get('stage');
-  const layer = container.get('layer');
-  const panelEl = container.get('panelEl');
-
-  const canCursor = (evt) => {
-    return canDraw(container, evt.target)
-          && container.get('step') === 0;
-  };
+function layoutLabel(group) {
+  const label = group.findOne('.label');
+  const shape = findShape(group, CATEGORY_POLY) || group.findOne(isShape);
+  if (!label || !shape) {
+    return;
+  }
 
-  layer.on('mouseover', 'Group', (evt) => {
-    const { currentTarget: group } = evt;
-    const selectedGroup = container.get('selectedGroup');
+  const points = shape.points();
+  const text = label.getText();
+  const width = text.width();
+  const height = text.height();
+  let anchor;
+  let offsetY = height / 2;
+
+  switch (label.__anchor) {
+    case 'first':
+      anchor = { x: points[0], y: points[1] };
+      offsetY = height + 4;
+      break;
 
-    // 未确定的状态不能操作
-    if (container.get('state')
-        || container.get('action')
-        || group === selectedGroup) {
-      return;
+    case 'top':
+    case 'bottom': {
+      const top = label.__anchor === 'top';
+      let index = 0;
+      eachPoint(points, (x, y, pointIndex, pointStart) => {
+        if (top ? y < points[index + 1] : y > points[index + 1]) {
+          index = pointStart;
+        }
+      });
+      anchor = { x: points[index], y: points[index + 1] };
+      offsetY = top ? height + 4 : -4;
+      break;
     }
 
-    displayGroup(
-      container,
-      group,
-      { hover: true },
-    );
-  });
+    default:
+      anchor = polygonCentroid(points);
+  }
 
-  layer.on('mouseout', 'Group', (evt) => {
-    const group = evt.currentTarget;
-    if (!group.__hover) {
-      return;
-    }
+  label.position(anchor);
+  label.offset({ x: width / 2, y: offsetY });
+}
 
-    displayGroup(
-      container,
-      group,
-      { hover: false },
-    );
-  });
+/**
+ * 修改图组的标签、属性和颜色
+ *
+ * @param {Container} container
+ * @param {string} id
+ * @param {object} meta
+ * @returns {boolean} 是否修改
+ */
+function setGroupMeta(container, id, meta) {
+  const group = findGroup(container, id);
+  const item = group && getGroupItem(container, group);
+  // 未确定的状态不能修改
+  if (!item || container.get('state') || container.get('action')) {
+    return false;
+  }
 
-  stage.on('mouseenter', (evt) => {
-    if (!canCursor(evt)) {
+  META_KEYS.forEach((key) => {
+    if (!(key in meta)) {
       return;
     }
-    container.emit('cursorBalloon');
+    if (meta[key] === undefined || meta[key] === null) {
+      delete item[key];
+    }
+    else {
+      // 属性对象不能和历史记录共用
+      item[key] = key === 'attributes'
+        ? Object.assign({}, meta[key])
+        : meta[key];
+    }
   });
 
-  stage.on('mousemove', (evt) => {
-    displayCursorBalloon(container, canCursor(evt) ? evt.evt : 0);
-  });
+  // 重新渲染图组, 保持选中状态
+  const selectedId = container.get('selectedGroup') && container.get('selectedGroup').id();
+  setValue(container, container.get('value'), true);
+  if (selectedId) {
+    const selectedGroup = findGroup(container, selectedId);
+    toggleSelectedGroup(container, selectedGroup.findOne(isShape));
+  }
+  container.get('layer').batchDraw();
 
-  stage.on('mouseleave', (evt) => {
-    if (!canCursor(evt)) {
-      return;
-    }
-    // 隐藏气泡
-    displayCursorBalloon(container);
-  });
+  recordHistory(container);
 
-  const onkeydown = (evt) => {
-    if ((evt.keyCode || evt.which) === 8) {
-      container.deleteSelectedGroup();
-    }
-  };
-  on(panelEl, 'keydown', onkeydown);
+  container.emit('change', exportValue(container, container.get('value')), container);
+  return true;
+}
+
+/**
+ * 图组在 value 中对应的项, 正在画的新图组没有
+ *
+ * @param {Container} container
+ * @param {KonvaNode} group
+ * @returns {object|undefined}
+ */
+function getGroupItem(container, group) {
+  return container.get('value').find((n) => n.id === group.id());
+}
 
-  container.on('beforeDestroy', () => {
-    off(panelEl, 'keydown', onkeydown);
+/**
+ * 图组是否锁定, 只读时所有图组都锁定
+ *
+ * @param {Container} container
+ * @param {KonvaNode} group
+ * @returns {boolean}
+ */
+function isGroupLocked(container, group) {
+  if (container.get('readonly')) {
+    return true;
+  }
+  const item = getGroupItem(container, group);
+  return !!(item && item.locked);
+}
+
+/**
+ * 按 value 中的 locked 和 visible 设置图组
+ *
+ * @param {Container} container
+ * @param {KonvaNode} group
+ * @param {object} [item]
+ */
+function applyGroupFlags(container, group, item = getGroupItem(container, group)) {
+  const locked = container.get('readonly') || !!(item && item.locked);
+  group.visible(!item || item.visible !== false);
+  group.find('Circle').each((circle) => {
+    circle.draggable(!locked);
   });
 }
 
 /**
- * 设置坐标
+ * 修改图组的 locked 或者 visible, 默认值不写入 value
  *
  * @param {Container} container
- * @param {object[]} newValue
- * @returns {boolean} 是否设置了value
+ * @param {string} id
+ * @param {string} key locked 或 visible
+ * @param {boolean} flag
+ * @returns {boolean} 是否修改
  */
-function setValue(container, newValue) {
-  // 数组不相等的情况下才更新
-  if (valueEquals(container.get('value'), newValue)) {
+function setGroupFlag(container, id, key, flag) {
+  const group = findGroup(container, id);
+  const item = group && getGroupItem(container, group);
+  // 未确定的状态不能修改
+  if (!item || container.get('state') || container.get('action')) {
     return false;
   }
 
-  const layer = container.get('layer');
-  layer.destroyChildren();
-
-  // 图形配置
-  const shapeConfig = container.get('shapeConfig');
-  const defaults = container.get('defaultShapeConfig');
-
-  // 创建图形
-  newValue.forEach((p) => {
-    const { type, direction, points } = p;
-
-    const group = new Group({
-      name: type
-    });
-
-    // 当前图形配置
-    const currentShapeConfig = type ? shapeConfig[type] : defaults;
-
-    // 先画多边形
-    let shape = new LastSectionDashLine({
-      name: CATEGORY_POLY,
-      stroke: currentShapeConfig.stroke,
-      strokeWidth: currentShapeConfig.strokeWidth,
-      fill: currentShapeConfig.fill,
-      closed: true,
-      points
-    });
-
-    group.add(shape);
-    // 上环
-    eachPoint(points, (x, y, pointIndex, pointStart) => {
-      addCircle(group, CATEGORY_POLY, pointStart, currentShapeConfig, x, y, false, true);
-    });
-    layer.add(group);
-
-    // 画箭头
-    shape = new Arrow({
-      name: CATEGORY_ARROW,
-      stroke: currentShapeConfig.stroke,
-      strokeWidth: currentShapeConfig.strokeWidth,
-      points: direction,
-      fill: currentShapeConfig.stroke,
-      pointerAtBeginning: !!currentShapeConfig.pointerAtBeginning
-    });
-
-    group.add(shape);
-    // 上环
-    eachPoint(direction, (x, y, pointIndex, pointStart) => {
-      addCircle(group, CATEGORY_ARROW, pointStart, currentShapeConfig, x, y, false, true);
-    });
-
-    // 暂存图形配置
-    group.__shapeConfig = currentShapeConfig;
-
-    // 暂存坐标
-    group.__direction = direction;
-    group.__points = points;
+  const defaultFlag = key === 'visible';
+  if (flag === (item[key] === undefined ? defaultFlag : item[key])) {
+    return false;
+  }
+  if (flag === defaultFlag) {
+    delete item[key];
+  }
+  else {
+    item[key] = flag;
+  }
 
-    layer.add(group);
-  });
+  // 隐藏的图组取消选中
+  if (key === 'visible' && !flag) {
+    const selectedGroups = container.get('selectedGroups');
+    if (selectedGroups.includes(group)) {
+      setSelectedGroups(container, selectedGroups.filter((n) => n !== group));
+    }
+    if (group === container.get('selectedGroup')) {
+      toggleSelectedGroup(container, container.get('stage'));
+    }
+  }
 
-  resetInternalProps(container);
+  applyGroupFlags(container, group, item);
+  container.get('layer').batchDraw();
 
-  // 重置数组
-  const drews = newValue.length;
-  container
-    .set('value', newValue)
-    .set('drews', drews);
+  recordHistory(container);
 
+  container.emit('change', exportValue(container, container.get('value')), container);
   return true;
 }
 
+/**
+ * 生成图组 id
+ *
+ * @returns {string}
+ */
+function createId() {
+  uid += 1;
+  return `g${Date.now().toString(36)}${uid.toString(36)}`;
+}
+
 /**
  * 重置内部属性
  * @param {Container} container
  */
 function resetInternalProps(container) {
+  // 撤销、设置 value 等重建图组时结束分割, 否则图层一直不响应事件
+  if (container.get('cutting')) {
+    endCutting(container);
+  }
+
   return container
     .set('drews', 0)
     .set('step', 0)
@@ -832,93 +4784,129 @@ function resetInternalProps(container) {
     .set('prevShape', null) // 画图前的上一个图形
     .set('currentShape', null) // 当前正在画的图形
     .set('currentPoints', null) // 当前坐标数组
-    .set('selectedGroup', null); // 当前选中的图形组
+    .set('selectedGroup', null) // 当前选中的图形组
+    .set('draggingGroups', null) // 正在拖动的图组
+    .set('confirming', null) // 等待异步确认的标记
+    .set('editingValue', null) // 合并、分割前的 value, 取消时还原
+    .set('invalid', null); // 当前修改不合法的原因
 }
 
 /**
  * 更新 value
  * @param {Container} container
- * @param {string} type
+ * @param {string} id 图组 id
  * @param {string|undefined} category
  * @param {number[]|undefined} points
  * @returns {number[]}
  */
-function updateValue(container, type, category, points) {
+function updateValue(container, id, category, points) {
   const value = container.get('value');
-  const index = value.findIndex((n) => n.type === type);
+  if (!category) {
+    return updateGroup(value, id);
+  }
 
-  if (index > -1) {
-    if (category) {
-      checkCategory(category, () => { // 多边形
-        value[index].points = points;
-      }, () => { // 箭头
-        value[index].direction = points;
+  const handler = getCategory(category);
+  return updateGroup(value, id, handler.key, handler.serialize(points));
+}
+
+
+/**
+ * 还原图形位置
+ *
+ * @param {Container} container
+ * @param {KonvaNode} group
+ * @param {object} values 各分类的坐标, 比如 { points, direction }
+ */
+function restorePosition(container, group, values) {
+  const circles = {};
+
+  group.getChildren((node) => {
+    if (node.__helper) {
+      return;
+    }
+
+    const handler = getCategory(node.name());
+    const points = values[handler.key];
+
+    if (isCircle(node)) {
+      circles[handler.name] = (circles[handler.name] || 0) + 1;
+      const { __pointStart } = node;
+      node.position({
+        x: points[__pointStart],
+        y: points[__pointStart + 1]
       });
     }
     else {
-      value.splice(index, 1);
+      handler.restore(node, points);
     }
-  }
+  });
 
-  return value;
+  // 增删过顶点时需要重建环
+  Object.keys(circles).forEach((category) => {
+    const points = values[getCategory(category).key];
+    if (circles[category] * 2 !== points.length) {
+      rebuildCircles(container, group, category, points);
+    }
+  });
+  layoutLabel(group);
 }
 
-
 /**
- * 检查图形分类
+ * 按坐标重建某个分类的环
  *
+ * @param {Container} container
+ * @param {KonvaNode} group
  * @param {string} category
- * @param {function} doPoly
- * @param {function} doArrow
+ * @param {number[]} points
  */
-function checkCategory(category, doPoly, doArrow) {
-  switch (category) {
-    case CATEGORY_POLY:
-      doPoly();
-      break;
-    case CATEGORY_ARROW:
-      doArrow();
-      break;
-    default:
-      throw new Error(`未知的图形分类 ${category}`);
-  }
+function rebuildCircles(container, group, category, points) {
+  group.find((node) => isCircle(node) && node.name() === category).destroy();
+  eachPoint(points, (x, y, pointIndex, pointStart) => {
+    addGroupCircle(container, group, category, pointStart, group.__shapeConfig, x, y, true, true);
+  });
 }
 
-
 /**
- * 还原图形位置
+ * 按确认策略处理未确认的修改
+ *
+ * manual 显示确认浮层等待 resolveChanges/rejectChanges,
+ * auto 直接确认, 函数 (group, points) => Promise<boolean> 按返回结果确认或取消
  *
+ * @param {Container} container
  * @param {KonvaNode} group
- * @param {number[]} points
- * @param {number[]} direction
  */
-function restorePosition(group, points, direction) {
-  group.getChildren((node) => {
-    switch (node.getClassName()) {
-      case 'LastSectionDashLine':
-        node.points(points);
-        break;
-      case 'Arrow':
-        node.points(direction);
-        break;
-      case 'Circle': {
-        const { __pointStart } = node;
-        let x;
-        let y;
-        checkCategory(node.name(), () => {
-          x = points[__pointStart];
-          y = points[__pointStart + 1];
-        }, () => {
-          x = direction[__pointStart];
-          y = direction[__pointStart + 1];
-        });
-        node.absolutePosition({ x, y });
-        break;
+function requestConfirmation(container, group) {
+  showConfirmation(container, group);
+  emitConfirm(container, group);
+
+  const confirm = container.get('confirm');
+  if (confirm === 'manual') {
+    return;
+  }
+
+  // 没有浮层可以操作, 不合法的修改直接取消
+  if (container.get('invalid')) {
+    resolveChanges(container, false);
+    return;
+  }
+
+  if (confirm === 'auto') {
+    resolveChanges(container, true);
+    return;
+  }
+
+  const token = {};
+  container.set('confirming', token);
+  Promise.resolve()
+    .then(() => confirm(group, getGroupPoints(group)))
+    .then((ok) => !!ok, () => false)
+    .then((ok) => {
+      // 等待期间已经销毁, 或者已经被确认、取消过
+      if (!container.initialized || container.get('confirming') !== token) {
+        return;
       }
-      default:
-        throw new Error(`未知的图形 ${node.getClassName()}`);
-    }
-  });
+      resolveChanges(container, ok);
+    });
 }
 
 /**
@@ -927,30 +4915,42 @@ function restorePosition(group, points, direction) {
  * @param {boolean} bool
  */
 function resolveChanges(container, bool) {
+  // 异步确认的结果不再处理
+  container.set('confirming', null);
+
+  // 不合法的修改只能取消
+  const invalid = container.get('invalid');
+  if (bool && invalid) {
+    container.emit('invalid', invalid, container.get('selectedGroup'), container);
+    return;
+  }
+  container.set('invalid', null);
+
   // 隐藏确认浮层
   displayConfirmation(container);
 
   const action = container.get('action');
   switch (action) {
     case ACTION_DRAW: // 画图
-      checkCategory(container.get('category'), () => { // 区域
-        if (bool) {
-          resolveDrewPoly(container);
-        }
-        else {
-          rejectDrewPoly(container);
-        }
-      }, () => { // 方向
+      if (bool) {
+        resolveDrew(container);
+      }
+      else {
+        rejectDrew(container);
+      }
+      break;
+
+    case ACTION_DRAG: // 拖拽
+      // 多选拖动
+      if (container.get('draggingGroups').length > 1) {
         if (bool) {
-          resolveDrewArrow(container);
+          resolveBulkDragged(container);
         }
         else {
-          rejectDrewArrow(container);
+          rejectBulkDragged(container);
         }
-      });
-      break;
-
-    case ACTION_DRAG: // 拖拽
+        break;
+      }
       // break omitted
     case ACTION_RECTIFY: // 调整大小
       if (bool) {
@@ -961,132 +4961,171 @@ function resolveChanges(container, bool) {
       }
       break;
 
+    case ACTION_EDIT: // 合并、分割
+      if (bool) {
+        resolveEdited(container);
+      }
+      else {
+        rejectEdited(container);
+      }
+      break;
+
     default:
   }
 }
 
 /**
- * 确认画多边形
+ * 确认画完当前图形
  *
  * @param {Container} container
  */
-function resolveDrewPoly(container) {
+function resolveDrew(container) {
   const selectedGroup = container.get('selectedGroup');
-  const type = container.get('type');
   const category = container.get('category');
-  const currentShape = container.get('currentShape');
-  const prevShape = container.get('prevShape');
-
-  const { __prePoints, __points } = selectedGroup;
+  const handler = getCategory(category);
+  const id = selectedGroup.id();
+  const points = selectedGroup.__preValue[handler.key];
+
+  if (points) {
+    // 画完第一步后新增一组 value
+    if (category === container.get('steps')[0].category) {
+      container.get('value').push({
+        id,
+        type: selectedGroup.name(),
+        [handler.key]: handler.serialize(points)
+      });
+    }
+    else {
+      updateValue(container, id, category, points);
+    }
 
-  // 画完一个图形后直接确认
-  if (__prePoints) {
-    container.get('value').push({
-      type,
-      points: __prePoints
-    });
-    container
-      .set('prevShape', currentShape);
+    selectedGroup.__value[handler.key] = points;
+    delete selectedGroup.__preValue[handler.key];
+  }
 
-    selectedGroup.__points = __prePoints;
-    delete selectedGroup.__prePoints;
+  container.emit('resolveDrew', category, container);
+  // 兼容之前的事件
+  if (category === CATEGORY_POLY) {
+    container.emit('resolveDrewPoly');
   }
-  else { // 拖动或者调整大小后确认
-    container
-      .set('prevShape', prevShape)
-      .set('value', updateValue(
-        container,
-        type,
-        category,
-        __points,
-      ));
+  else if (category === CATEGORY_ARROW) {
+    container.emit('resolveDrewArrow');
   }
 
-  container
-    .set('step', 0)
-    .set('action', null)
-    .set('state', STATE_DRAWING)
-    .set('currentShape', null)
-    .set('currentPoints', null)
-    .set('category', CATEGORY_ARROW);
-
-  container.emit('resolveDrewPoly');
+  continueDrawing(container, selectedGroup);
 }
 
 /**
- * 取消当前多边形
+ * 接着画图组的下一步, 没有下一步时画完图组
  *
  * @param {Container} container
+ * @param {KonvaNode} group
+ * @param {boolean} [changed=true] value 是否有变化
  */
-function rejectDrewPoly(container) {
-  const currentShape = container.get('currentShape');
-  const group = currentShape.getParent();
-  group.destroy();
-  container.get('layer').batchDraw();
-
-  const drews = container.get('drews');
-  resetInternalProps(container)
-    .set('drews', drews);
-}
+function continueDrawing(container, group, changed = true) {
+  const category = nextStep(container, group);
 
-/**
- * 确认画箭头
- *
- * @param {Container} container
- */
-function resolveDrewArrow(container) {
-  const selectedGroup = container.get('selectedGroup');
-  const { __preDirection } = selectedGroup;
+  if (category) {
+    container
+      .set('step', 0)
+      .set('action', null)
+      .set('state', STATE_DRAWING)
+      .set('prevShape', group.findOne(isShape))
+      .set('selectedGroup', group)
+      .set('currentShape', null)
+      .set('currentPoints', null)
+      .set('category', category)
+      .set('drews', countDrews(container));
+
+    if (changed) {
+      recordHistory(container);
+
+      // 剩下的都是可选图形时图组已经可用
+      if (isGroupComplete(container, group)) {
+        container.emit('change', exportValue(container, container.get('value')), container);
+      }
+    }
+    return;
+  }
 
-  selectedGroup.__direction = __preDirection;
-  selectedGroup.draggable(false);
+  group.draggable(false);
 
   displayGroup(
     container,
-    selectedGroup,
+    group,
     { circle: false, hover: true },
   );
 
-  // 更新 value
-  const value = updateValue(
-    container,
-    container.get('type'),
-    CATEGORY_ARROW,
-    __preDirection,
-  );
-
   // 重置内部属性
-  const drews = container.get('drews');
-  delete selectedGroup.__preDirection;
   resetInternalProps(container)
-    .set('drews', drews + 1);
+    .set('drews', countDrews(container));
+
+  if (!changed) {
+    return;
+  }
+
+  recordHistory(container);
 
   // 转换 value
-  const newValue = transformValue(container, value);
+  const newValue = exportValue(container, container.get('value'));
 
-  container.emit('resolveDrewArrow');
-  container.emit('change', newValue);
+  container.emit('change', newValue, container);
 }
 
 /**
- * 取消当前箭头
+ * 跳过当前可选的图形
  *
  * @param {Container} container
+ * @returns {boolean}
  */
-function rejectDrewArrow(container) {
-  const selectedGroup = container.get('selectedGroup');
-  const currentShape = container.get('currentShape');
+function skipStep(container) {
+  const category = container.get('category');
+  const step = container.get('steps').find((n) => n.category === category);
+  if (container.get('state') !== STATE_DRAWING || !step || !step.optional) {
+    return false;
+  }
+
+  // 丢弃画了一半的图形
+  if (container.get('action') === ACTION_DRAW) {
+    rejectDrew(container);
+  }
+
+  const group = container.get('prevShape').getParent();
+  group.__skipped[category] = true;
+
+  displayCursorBalloon(container);
+  continueDrawing(container, group, false);
+  return true;
+}
+
+/**
+ * 取消当前图形
+ *
+ * @param {Container} container
+ */
+function rejectDrew(container) {
+  const layer = container.get('layer');
+  const category = container.get('category');
+  const group = container.get('currentShape').getParent();
+
+  // 图组还没有确认过的图形时整组销毁
+  if (!Object.keys(group.__value).length) {
+    group.destroy();
+    layer.batchDraw();
+
+    resetInternalProps(container)
+      .set('drews', countDrews(container));
+    return;
+  }
 
-  delete selectedGroup.__preDirection;
-  delete selectedGroup.__direction;
+  delete group.__preValue[getCategory(category).key];
 
-  // 销毁环
-  currentShape
-    .getParent()
-    .find(`.${currentShape.name()}`)
+  // 销毁图形和环
+  group
+    .find(`.${category}`)
     .destroy();
 
-  container.get('layer').batchDraw();
+  layer.batchDraw();
 
   container
     .set('step', 0)
@@ -1094,7 +5133,7 @@ function rejectDrewArrow(container) {
     .set('state', STATE_DRAWING)
     .set('currentShape', null)
     .set('currentPoints', null)
-    .set('category', CATEGORY_ARROW);
+    .set('category', category);
 }
 
 /**
@@ -1104,41 +5143,36 @@ function rejectDrewArrow(container) {
  */
 function resolveDragged(container) {
   const selectedGroup = container.get('selectedGroup');
-  const type = selectedGroup.name();
-  const { __prePoints, __preDirection, __direction } = selectedGroup;
+  const id = selectedGroup.id();
+  const { __preValue, __value } = selectedGroup;
+  const pending = Object.keys(__preValue).length > 0;
 
-  let value;
+  let value = container.get('value');
   selectedGroup.getChildren((shape) => {
-    if (shape.getClassName() !== 'Circle') {
+    if (isShape(shape)) {
       const points = shape.points();
       const category = shape.name();
+      const { key } = getCategory(category);
 
-      checkCategory(category, () => {
-        // 未画完多边形调整位置或大小的情况
-        if (__prePoints) {
-          selectedGroup.__prePoints = points;
-        }
-        selectedGroup.__points = points;
-      }, () => {
-        // 未画完箭头调整位置或大小的情况
-        if (__preDirection) {
-          selectedGroup.__preDirection = points;
-        }
-        selectedGroup.__direction = points;
-      });
+      // 未画完图形调整位置或大小的情况
+      if (__preValue[key]) {
+        __preValue[key] = points;
+        return;
+      }
+      __value[key] = points;
 
       // 更新 value
-      value = updateValue(container, type, category, points);
+      value = updateValue(container, id, category, points);
     }
   });
 
   // 刚画完图后的调整图形大小或者位置的确认
-  if (__preDirection) {
-    resolveDrewArrow(container);
+  if (pending) {
+    resolveDrew(container);
     return;
   }
-  else if (__prePoints || !__direction) { // 多边形未完成情况
-    resolveDrewPoly(container);
+  else if (nextStep(container, selectedGroup)) { // 图组未画完的情况
+    continueDrawing(container, selectedGroup);
     return;
   }
 
@@ -1155,7 +5189,57 @@ function resolveDragged(container) {
     .set('currentShape', null)
     .set('selectedGroup', null);
 
-  container.emit('change', transformValue(container, value), container);
+  recordHistory(container);
+
+  container.emit('change', exportValue(container, value), container);
+}
+
+/**
+ * 确认多选拖动, 只触发一次 change
+ *
+ * @param {Container} container
+ */
+function resolveBulkDragged(container) {
+  let value = container.get('value');
+  container.get('draggingGroups').forEach((group) => {
+    const id = group.id();
+    group.getChildren((shape) => {
+      if (isShape(shape)) {
+        const points = shape.points();
+        const category = shape.name();
+        group.__value[getCategory(category).key] = points;
+        value = updateValue(container, id, category, points);
+      }
+    });
+  });
+
+  container
+    .set('state', null)
+    .set('action', null)
+    .set('draggingGroups', null);
+
+  recordHistory(container);
+
+  container.emit('change', exportValue(container, value), container);
+}
+
+/**
+ * 取消多选拖动
+ *
+ * @param {Container} container
+ */
+function rejectBulkDragged(container) {
+  container.get('draggingGroups').forEach((group) => {
+    restorePosition(container, group, group.__value);
+    keepScreenSize(container, group);
+  });
+
+  container.get('layer').batchDraw();
+
+  container
+    .set('state', null)
+    .set('action', null)
+    .set('draggingGroups', null);
 }
 
 /**
@@ -1166,21 +5250,21 @@ function resolveDragged(container) {
 function rejectDragged(container) {
   // 取消调整图形位置
   const selectedGroup = container.get('selectedGroup');
-  const { __prePoints, __points, __preDirection, __direction } = selectedGroup;
+  const { __preValue, __value } = selectedGroup;
 
   // 调整图形大小或者位置后取消
-  if (__preDirection) {
-    rejectDrewArrow(container);
-    restorePosition(selectedGroup, __points, __direction);
-    return;
-  }
-  else if (__prePoints) { // 多边形未完成情况
-    rejectDrewPoly(container);
+  if (Object.keys(__preValue).length) {
+    rejectDrew(container);
+    // 整组未被销毁时还原已确认的图形
+    if (Object.keys(__value).length) {
+      restorePosition(container, selectedGroup, __value);
+    }
     return;
   }
 
   // 还原图形位置
-  restorePosition(selectedGroup, __points, __direction);
+  restorePosition(container, selectedGroup, __value);
+  keepScreenSize(container, selectedGroup);
 
   container.get('layer').batchDraw();
 
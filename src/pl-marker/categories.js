@@ -0,0 +1,191 @@
+import { Arrow } from 'konva';
+import { distanceBetween } from 'geometry';
+import { LastSectionDashLine } from 'konva-extra';
+import { CATEGORY_POLY, CATEGORY_ARROW } from './shared';
+import { registerPointKey, POLYGON_KEY } from './value';
+
+// 画图时每次点击的处理结果
+export const DRAW_CONTINUE = 'continue'; // 记录当前点, 继续画
+export const DRAW_COMPLETE = 'complete'; // 记录当前点后画完
+export const DRAW_CLOSE = 'close'; // 不记录当前点直接画完
+export const DRAW_REJECT = 'reject'; // 不合法操作, 取消当前图形
+export const DRAW_IGNORE = 'ignore'; // 忽略本次点击
+
+// 已注册的图形分类, 按注册顺序存放
+const registry = [];
+
+/**
+ * 注册图形分类
+ *
+ * 图形必须支持 points() 读写一维坐标数组, 拖拽、调整和 value 转换都依赖它
+ *
+ * @param {string} name 分类名称, 同时作为图形和环的 name
+ * @param {object} handlers
+ * @param {string} handlers.key 存放在 value 中的字段名
+ * @param {function} handlers.create (shapeConfig, points, closed) => KonvaShape, closed 表示已画完
+ * @param {function} handlers.draw 画图时的点击 (container, points, x, y, tolerance) => DRAW_*
+ * @param {function} [handlers.release] 画图时松开指针 (container, points, x, y, tolerance) => DRAW_*
+ * @param {function} [handlers.close] 双击或回车主动闭合 (container, points) => DRAW_*
+ * @param {function} [handlers.complete] 画完时修饰图形 (shape, points, shapeConfig)
+ * @param {function} [handlers.rectify] 拖动环调整 (points, pointStart, dx, dy) => number[]
+ * @param {function} [handlers.restore] 还原图形 (shape, points)
+ * @param {function} [handlers.serialize] 写入 value (points) => any
+ * @param {function} [handlers.deserialize] 从 value 读取 (field) => number[]
+ */
+export function registerCategory(name, handlers) {
+  if (!handlers || !handlers.key || !handlers.create || !handlers.draw) {
+    throw new Error(`图形分类 ${name} 缺少 key, create 或 draw`);
+  }
+
+  const category = Object.assign({
+    name,
+    rectify: rectifyVertex,
+    restore: restorePoints,
+    serialize: identity,
+    deserialize: identity
+  }, handlers);
+
+  // value 的纯函数需要知道哪些字段是坐标
+  registerPointKey(category.key);
+
+  const index = registry.findIndex((n) => n.name === name);
+  if (index > -1) {
+    registry[index] = category;
+  }
+  else {
+    registry.push(category);
+  }
+  return category;
+}
+
+/**
+ * 获取图形分类
+ *
+ * @param {string} name
+ * @returns {object}
+ */
+export function getCategory(name) {
+  const category = registry.find((n) => n.name === name);
+  if (!category) {
+    throw new Error(`未知的图形分类 ${name}`);
+  }
+  return category;
+}
+
+/**
+ * 遍历图形分类
+ *
+ * @param {function} fn
+ */
+export function eachCategory(fn) {
+  registry.forEach(fn);
+}
+
+/**
+ * 默认只移动拖动的顶点
+ */
+function rectifyVertex(points, pointStart, dx, dy) {
+  points[pointStart] += dx;
+  points[pointStart + 1] += dy;
+  return points;
+}
+
+function restorePoints(shape, points) {
+  shape.points(points);
+}
+
+function identity(n) {
+  return n;
+}
+
+// 多边形
+registerCategory(CATEGORY_POLY, {
+  key: POLYGON_KEY,
+  create(shapeConfig, points, closed) {
+    const polyConfig = {
+      name: CATEGORY_POLY,
+      stroke: shapeConfig.stroke,
+      strokeWidth: shapeConfig.strokeWidth,
+      points
+    };
+    if (closed) {
+      polyConfig.closed = true;
+      polyConfig.fill = shapeConfig.fill;
+    }
+    else if (shapeConfig.dash) {
+      polyConfig.dash = shapeConfig.dash;
+    }
+    return new LastSectionDashLine(polyConfig);
+  },
+  draw(container, points, x, y, tolerance) {
+    const minSides = container.get('minSides');
+    // 第一个坐标点的方圆内才算闭合
+    const closing = distanceBetween(x, y, points[0], points[1]) <= tolerance;
+
+    // 固定边数
+    if (!minSides) {
+      // 画多边形到最后
+      if (points.length !== container.get('sides') * 2) {
+        return DRAW_CONTINUE;
+      }
+      return closing ? DRAW_CLOSE : DRAW_IGNORE;
+    }
+
+    // 可变边数, 达到最少边数后随时可以闭合
+    const sides = points.length / 2;
+    if (closing) {
+      return sides >= minSides ? DRAW_CLOSE : DRAW_IGNORE;
+    }
+
+    // 双击时第二次点击不重复加点
+    const l = points.length;
+    if (distanceBetween(x, y, points[l - 2], points[l - 1]) <= tolerance) {
+      return DRAW_IGNORE;
+    }
+
+    // 达到最多边数时自动闭合
+    const maxSides = container.get('maxSides');
+    return maxSides && sides + 1 >= maxSides ? DRAW_COMPLETE : DRAW_CONTINUE;
+  },
+  close(container, points) {
+    const sides = points.length / 2;
+    const minSides = container.get('minSides');
+    if (minSides) {
+      return sides >= minSides ? DRAW_CLOSE : DRAW_IGNORE;
+    }
+    return sides === container.get('sides') ? DRAW_CLOSE : DRAW_IGNORE;
+  },
+  complete(shape, points, shapeConfig) {
+    shape
+      .points(points)
+      .lastDashEnabled(false)
+      .closed(true)
+      .fill(shapeConfig.fill);
+  }
+});
+
+// 箭头
+function drawArrow(container, points, x, y) {
+  // 距离小于5像素被认为是不合法操作
+  return distanceBetween(x, y, points[0], points[1]) < 5
+    ? DRAW_REJECT
+    : DRAW_COMPLETE;
+}
+
+registerCategory(CATEGORY_ARROW, {
+  key: 'direction',
+  create(shapeConfig, points) {
+    return new Arrow({
+      name: CATEGORY_ARROW,
+      stroke: shapeConfig.stroke,
+      strokeWidth: shapeConfig.strokeWidth,
+      points,
+      pointerAtBeginning: !!shapeConfig.pointerAtBeginning,
+      fill: shapeConfig.stroke
+      // pointerLength: 14,
+      // pointerWidth: 16,
+    });
+  },
+  draw: drawArrow,
+  release: drawArrow
+});
@@ -0,0 +1,307 @@
+// value 和常用标注格式的转换, 和 value.js 一样不依赖 konva 和 DOM
+
+import { eachPoint, polygonArea } from './polygon';
+import { POLYGON_KEY } from './value';
+
+// 图组中不作为坐标的字段
+const META_KEYS = ['id', 'type'];
+
+/**
+ * 一维坐标数组转换成 [[x, y], ...]
+ *
+ * @param {number[]} points
+ * @returns {number[][]}
+ */
+function toPairs(points) {
+  const pairs = [];
+  eachPoint(points, (x, y) => {
+    pairs.push([x, y]);
+  });
+  return pairs;
+}
+
+/**
+ * [[x, y], ...] 转换成一维坐标数组
+ *
+ * @param {number[][]} pairs
+ * @returns {number[]}
+ */
+function fromPairs(pairs) {
+  return pairs.reduce((points, [x, y]) => points.concat(x, y), []);
+}
+
+/**
+ * 是否是一维坐标数组
+ */
+function isPoints(n) {
+  return Array.isArray(n) && n.length % 2 === 0 && n.every((p) => typeof p === 'number');
+}
+
+/**
+ * 是否是 [[x, y], ...] 格式
+ */
+function isPairs(n) {
+  return Array.isArray(n) && n.length > 0 && n.every((p) => Array.isArray(p) && p.length === 2);
+}
+
+/**
+ * 多边形以外的字段作为属性保存, 坐标转换成 [[x, y], ...], 比如方向箭头
+ *
+ * @param {object} item value 中的图组
+ * @param {string} geometryKey
+ * @returns {object}
+ */
+function pickProperties(item, geometryKey) {
+  const properties = {};
+  Object.keys(item).forEach((k) => {
+    if (k === geometryKey || k === 'id') {
+      return;
+    }
+    properties[k] = isPoints(item[k]) ? toPairs(item[k]) : item[k];
+  });
+  return properties;
+}
+
+/**
+ * 把属性还原成图组字段, [[x, y], ...] 还原成一维坐标数组
+ *
+ * @param {object} properties
+ * @returns {object}
+ */
+function restoreProperties(properties) {
+  const item = {};
+  Object.keys(properties || {}).forEach((k) => {
+    item[k] = isPairs(properties[k]) ? fromPairs(properties[k]) : properties[k];
+  });
+  return item;
+}
+
+/**
+ * 计算外接矩形
+ *
+ * @param {number[]} points
+ * @returns {number[]} [x, y, width, height]
+ */
+function boundingBox(points) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  eachPoint(points, (x, y) => {
+    minX = Math.min(minX, x);
+    minY = Math.min(minY, y);
+    maxX = Math.max(maxX, x);
+    maxY = Math.max(maxY, y);
+  });
+  return [minX, minY, maxX - minX, maxY - minY];
+}
+
+/**
+ * 转换成 GeoJSON FeatureCollection, 多边形作为 Polygon, 其他字段放在 properties
+ *
+ * @param {object[]} value 像素坐标的 value
+ * @returns {object}
+ */
+export function toGeoJSON(value) {
+  const key = POLYGON_KEY;
+  return {
+    type: 'FeatureCollection',
+    features: value.map((item) => {
+      const points = item[key];
+      const ring = points ? toPairs(points) : [];
+      // GeoJSON 的环首尾相同
+      if (ring.length) {
+        ring.push(ring[0].slice(0));
+      }
+      return {
+        type: 'Feature',
+        id: item.id,
+        geometry: ring.length
+          ? { type: 'Polygon', coordinates: [ring] }
+          : null,
+        properties: pickProperties(item, key)
+      };
+    })
+  };
+}
+
+/**
+ * 从 GeoJSON 读取 value, 只支持 Polygon 的外环
+ *
+ * @param {object} geojson FeatureCollection 或者 Feature
+ * @returns {object[]}
+ */
+export function fromGeoJSON(geojson) {
+  const key = POLYGON_KEY;
+  const features = geojson.type === 'FeatureCollection'
+    ? geojson.features
+    : [geojson];
+
+  return features.map((feature) => {
+    const item = restoreProperties(feature.properties);
+    if (feature.id !== undefined) {
+      item.id = String(feature.id);
+    }
+
+    const { geometry } = feature;
+    if (geometry) {
+      if (geometry.type !== 'Polygon') {
+        throw new Error(`不支持的 GeoJSON 类型 ${geometry.type}`);
+      }
+      const ring = geometry.coordinates[0].slice(0);
+      // 去掉重复的闭合点
+      const first = ring[0];
+      const last = ring[ring.length - 1];
+      if (ring.length > 1 && first[0] === last[0] && first[1] === last[1]) {
+        ring.pop();
+      }
+      item[key] = fromPairs(ring);
+    }
+    return item;
+  });
+}
+
+/**
+ * 导出 COCO 格式的分割标注, type 作为类别
+ *
+ * @param {object[]} value 像素坐标的 value
+ * @param {object} opts
+ * @param {number} opts.width 图片宽度
+ * @param {number} opts.height 图片高度
+ * @param {number} [opts.imageId] 图片 id
+ * @param {string} [opts.fileName] 图片文件名
+ * @param {string[]} [opts.categories] 类别名称, 按顺序从 1 开始编号, 默认按 value 中出现的顺序
+ * @returns {object}
+ */
+export function toCOCO(value, opts) {
+  const key = POLYGON_KEY;
+  const imageId = opts.imageId || 1;
+  const categories = (opts.categories || []).slice(0);
+  value.forEach((item) => {
+    const name = String(item.type || '');
+    if (!categories.includes(name)) {
+      categories.push(name);
+    }
+  });
+
+  const annotations = [];
+  value.forEach((item) => {
+    const points = item[key];
+    if (!points) {
+      return;
+    }
+
+    // 其他字段放在 attributes, 比如方向箭头
+    const attributes = {};
+    Object.keys(item).forEach((k) => {
+      if (k !== key && !META_KEYS.includes(k)) {
+        attributes[k] = isPoints(item[k]) ? toPairs(item[k]) : item[k];
+      }
+    });
+    attributes.id = item.id;
+
+    annotations.push({
+      id: annotations.length + 1,
+      image_id: imageId,
+      category_id: categories.indexOf(String(item.type || '')) + 1,
+      segmentation: [points.slice(0)],
+      area: polygonArea(points),
+      bbox: boundingBox(points),
+      iscrowd: 0,
+      attributes
+    });
+  });
+
+  return {
+    images: [{
+      id: imageId,
+      width: opts.width,
+      height: opts.height,
+      file_name: opts.fileName || ''
+    }],
+    annotations,
+    categories: categories.map((name, i) => ({ id: i + 1, name }))
+  };
+}
+
+/**
+ * 导出 LabelMe 格式, 每个图组一个 polygon, 其他字段作为 shape 的附加字段
+ *
+ * @param {object[]} value 像素坐标的 value
+ * @param {object} opts
+ * @param {number} opts.width 图片宽度
+ * @param {number} opts.height 图片高度
+ * @param {string} [opts.imagePath] 图片路径
+ * @returns {object}
+ */
+export function toLabelMe(value, opts) {
+  const key = POLYGON_KEY;
+  return {
+    version: '5.0.1',
+    flags: {},
+    shapes: value
+      .filter((item) => item[key])
+      .map((item) => {
+        const properties = pickProperties(item, key);
+        delete properties.type;
+        delete properties.label;
+        // LabelMe 的 label 是类别, 图组的标签放在 description
+        if (item.label !== undefined) {
+          properties.description = item.label;
+        }
+        return Object.assign(properties, {
+          id: item.id,
+          label: String(item.type || ''),
+          points: toPairs(item[key]),
+          group_id: null,
+          shape_type: 'polygon',
+          flags: {}
+        });
+      }),
+    imagePath: opts.imagePath || '',
+    imageData: null,
+    imageHeight: opts.height,
+    imageWidth: opts.width
+  };
+}
+
+/**
+ * 从 LabelMe 格式读取 value, 支持 polygon 和 rectangle
+ *
+ * @param {object} json
+ * @returns {object[]} 没有 shapes 时为空数组
+ */
+export function fromLabelMe(json) {
+  const key = POLYGON_KEY;
+  if (!json || !Array.isArray(json.shapes)) {
+    return [];
+  }
+  return json.shapes
+    .filter((shape) => ['polygon', 'rectangle'].includes(shape.shape_type || 'polygon'))
+    .map((shape) => {
+      // LabelMe 自带的字段以外都是导出时附加的字段
+      const others = Object.assign({}, shape);
+      ['label', 'points', 'shape_type', 'group_id', 'flags', 'description', 'mask'].forEach((k) => {
+        delete others[k];
+      });
+
+      const item = restoreProperties(others);
+      if (shape.label) {
+        item.type = shape.label;
+      }
+      if (shape.description) {
+        item.label = shape.description;
+      }
+
+      const { points } = shape;
+      // 矩形只有对角两个点
+      if (shape.shape_type === 'rectangle') {
+        const [[x1, y1], [x2, y2]] = points;
+        item[key] = [x1, y1, x2, y1, x2, y2, x1, y2];
+      }
+      else {
+        item[key] = fromPairs(points);
+      }
+      return item;
+    });
+}
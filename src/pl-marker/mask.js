@@ -0,0 +1,107 @@
+// 掩码生成, 和 value.js 一样不依赖 konva 和 DOM
+
+/**
+ * 按扫描线填充多边形, 以像素中心判断是否在多边形内
+ *
+ * @param {Uint8Array} data
+ * @param {number} width
+ * @param {number} height
+ * @param {number[]} points
+ * @param {number} label 填充值
+ */
+export function fillPolygon(data, width, height, points, label) {
+  const l = points.length;
+  let minY = Infinity;
+  let maxY = -Infinity;
+  for (let i = 1; i < l; i += 2) {
+    minY = Math.min(minY, points[i]);
+    maxY = Math.max(maxY, points[i]);
+  }
+
+  const startRow = Math.max(0, Math.floor(minY));
+  const endRow = Math.min(height - 1, Math.ceil(maxY));
+  for (let row = startRow; row <= endRow; row++) {
+    const y = row + 0.5;
+
+    // 扫描线和各条边的交点
+    const xs = [];
+    for (let i = 0, j = l - 2; i < l; j = i, i += 2) {
+      const yi = points[i + 1];
+      const yj = points[j + 1];
+      if ((yi > y) !== (yj > y)) {
+        xs.push(points[i] + (y - yi) * (points[j] - points[i]) / (yj - yi));
+      }
+    }
+    xs.sort((a, b) => a - b);
+
+    // 奇偶规则, 两两之间在多边形内
+    for (let k = 0; k + 1 < xs.length; k += 2) {
+      const from = Math.max(0, Math.ceil(xs[k] - 0.5));
+      const to = Math.min(width - 1, Math.floor(xs[k + 1] - 0.5));
+      for (let col = from; col <= to; col++) {
+        data[row * width + col] = label;
+      }
+    }
+  }
+}
+
+/**
+ * 生成掩码, 后面的图组覆盖前面的图组
+ *
+ * @param {object[]} value 像素坐标的 value
+ * @param {object} opts
+ * @param {number} opts.width 掩码宽度
+ * @param {number} opts.height 掩码高度
+ * @param {string[]} [opts.types] 按 type 生成标签, 值为下标加 1, 不传时所有图组都为 1
+ * @param {number} [opts.scaleX=1] 坐标缩放比例
+ * @param {number} [opts.scaleY=1]
+ * @returns {{width: number, height: number, data: Uint8Array, labels: object}} labels 为 { 标签值: type }
+ */
+export function createMask(value, opts) {
+  const {
+    width,
+    height,
+    types,
+    scaleX = 1,
+    scaleY = 1
+  } = opts;
+  const data = new Uint8Array(width * height);
+
+  const labels = {};
+  if (types) {
+    types.forEach((type, i) => {
+      labels[i + 1] = type;
+    });
+  }
+  else {
+    labels[1] = null;
+  }
+
+  value.forEach((item) => {
+    const { points } = item;
+    if (!points || points.length < 6) {
+      return;
+    }
+
+    const label = types ? types.indexOf(item.type) + 1 : 1;
+    // 不在 types 中的图组不画
+    if (!label) {
+      return;
+    }
+
+    fillPolygon(
+      data,
+      width,
+      height,
+      points.map((n, j) => n * (j % 2 ? scaleY : scaleX)),
+      label,
+    );
+  });
+
+  return {
+    width,
+    height,
+    data,
+    labels
+  };
+}
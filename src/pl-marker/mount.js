@@ -0,0 +1,62 @@
+import Container from './Container';
+
+// 转发给组件的 Container 事件
+export const MARKER_EVENTS = [
+  'change',
+  'valueError',
+  'delete',
+  'confirm',
+  'invalid',
+  'resolveDrew',
+  'undo',
+  'redo',
+  'selectGroups',
+  'focus',
+  'longPress',
+  'outOfBoundary',
+  'background',
+  'zoom',
+  'pan',
+  'startCut'
+];
+
+/**
+ * 在元素中创建 Container, 默认开启 autoResize 跟随元素尺寸变化
+ *
+ * @param {HTMLElement} el 外层元素, 按它的尺寸创建画布
+ * @param {HTMLElement} stageEl 画布容器, 同时接收键盘事件
+ * @param {object} opts
+ * @param {object} [opts.options] initialize 的参数
+ * @param {HTMLElement} [opts.cursorBalloonEl] 鼠标气泡
+ * @param {HTMLElement} [opts.confirmationEl] 确认浮层
+ * @param {function} opts.onEvent (name, args) 转发 MARKER_EVENTS 中的事件
+ * @returns {{container: Container, dispose: function}}
+ */
+export function mountContainer(el, stageEl, opts) {
+  // 画布容器撑满外层元素, 由 autoResize 跟随尺寸变化
+  Object.assign(stageEl.style, {
+    width: '100%',
+    height: '100%'
+  });
+
+  const container = new Container();
+  container.initialize({
+    container: stageEl,
+    width: el.clientWidth,
+    height: el.clientHeight
+  }, Object.assign({ autoResize: true }, opts.options, {
+    cursorBalloonEl: opts.cursorBalloonEl,
+    confirmationEl: opts.confirmationEl
+  }));
+
+  MARKER_EVENTS.forEach((name) => {
+    container.on(name, (...args) => opts.onEvent(name, args));
+  });
+
+  return {
+    container,
+    dispose() {
+      container.destroy();
+    }
+  };
+}
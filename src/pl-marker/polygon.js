@@ -0,0 +1,859 @@
+// 多边形的纯函数计算, 不依赖其他模块, 可以在 Node 中使用
+
+/**
+ * 遍历一维坐标数组中的点, 和 _shared/util 的 eachPoint 相同
+ *
+ * @param {number[]} points
+ * @param {function} fn (x, y, pointIndex, pointStart)
+ */
+export function eachPoint(points, fn) {
+  for (let i = 0; i + 1 < points.length; i += 2) {
+    fn(points[i], points[i + 1], i / 2, i);
+  }
+}
+
+/**
+ * 计算多边形面积
+ *
+ * @param {number[]} points
+ * @returns {number}
+ */
+export function polygonArea(points) {
+  let sum = 0;
+  eachPoint(points, (x, y, pointIndex, pointStart) => {
+    const next = (pointStart + 2) % points.length;
+    sum += x * points[next + 1] - points[next] * y;
+  });
+  return Math.abs(sum) / 2;
+}
+
+/**
+ * 计算多边形重心, 面积为 0 时取各点的平均值
+ *
+ * @param {number[]} points
+ * @returns {{x: number, y: number}}
+ */
+export function polygonCentroid(points) {
+  let area = 0;
+  let cx = 0;
+  let cy = 0;
+  eachPoint(points, (x, y, pointIndex, pointStart) => {
+    const next = (pointStart + 2) % points.length;
+    const nx = points[next];
+    const ny = points[next + 1];
+    const f = x * ny - nx * y;
+    area += f;
+    cx += (x + nx) * f;
+    cy += (y + ny) * f;
+  });
+
+  if (!area) {
+    const n = points.length / 2;
+    let sx = 0;
+    let sy = 0;
+    eachPoint(points, (x, y) => {
+      sx += x;
+      sy += y;
+    });
+    return { x: sx / n, y: sy / n };
+  }
+
+  return {
+    x: cx / (3 * area),
+    y: cy / (3 * area)
+  };
+}
+
+/**
+ * 计算多边形最短的边长
+ *
+ * @param {number[]} points
+ * @returns {number}
+ */
+export function minEdgeLength(points) {
+  let min = Infinity;
+  eachPoint(points, (x, y, pointIndex, pointStart) => {
+    const next = (pointStart + 2) % points.length;
+    min = Math.min(min, Math.hypot(points[next] - x, points[next + 1] - y));
+  });
+  return min;
+}
+
+/**
+ * 叉积, 判断 c 在 ab 的哪一侧
+ */
+function cross(ax, ay, bx, by, cx, cy) {
+  return (bx - ax) * (cy - ay) - (by - ay) * (cx - ax);
+}
+
+/**
+ * c 是否在线段 ab 上 (已知三点共线)
+ */
+function onSegment(ax, ay, bx, by, cx, cy) {
+  return Math.min(ax, bx) <= cx && cx <= Math.max(ax, bx)
+    && Math.min(ay, by) <= cy && cy <= Math.max(ay, by);
+}
+
+/**
+ * 线段 ab 和 cd 是否相交, 包括端点接触和共线重叠
+ *
+ * @returns {boolean}
+ */
+export function segmentsIntersect(ax, ay, bx, by, cx, cy, dx, dy) {
+  const d1 = cross(cx, cy, dx, dy, ax, ay);
+  const d2 = cross(cx, cy, dx, dy, bx, by);
+  const d3 = cross(ax, ay, bx, by, cx, cy);
+  const d4 = cross(ax, ay, bx, by, dx, dy);
+
+  if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0))
+      && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) {
+    return true;
+  }
+
+  return (d1 === 0 && onSegment(cx, cy, dx, dy, ax, ay))
+    || (d2 === 0 && onSegment(cx, cy, dx, dy, bx, by))
+    || (d3 === 0 && onSegment(ax, ay, bx, by, cx, cy))
+    || (d4 === 0 && onSegment(ax, ay, bx, by, dx, dy));
+}
+
+/**
+ * 多边形是否自相交, 相邻边共用的顶点不算
+ *
+ * @param {number[]} points
+ * @returns {boolean}
+ */
+export function isSelfIntersecting(points) {
+  const l = points.length;
+  const n = l / 2;
+  if (n < 4) {
+    return false;
+  }
+
+  for (let i = 0; i < n; i++) {
+    const a = i * 2;
+    const b = (a + 2) % l;
+    // 跳过相邻的边
+    for (let j = i + 2; j < n; j++) {
+      if (i === 0 && j === n - 1) {
+        continue;
+      }
+      const c = j * 2;
+      const d = (c + 2) % l;
+      if (segmentsIntersect(
+        points[a], points[a + 1], points[b], points[b + 1],
+        points[c], points[c + 1], points[d], points[d + 1],
+      )) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * 是否是凸多边形
+ *
+ * @param {number[]} points
+ * @returns {boolean}
+ */
+export function isConvex(points) {
+  const l = points.length;
+  let sign = 0;
+  for (let i = 0; i < l; i += 2) {
+    const b = (i + 2) % l;
+    const c = (i + 4) % l;
+    const z = cross(points[i], points[i + 1], points[b], points[b + 1], points[c], points[c + 1]);
+    if (z !== 0) {
+      if (sign && Math.sign(z) !== sign) {
+        return false;
+      }
+      sign = Math.sign(z);
+    }
+  }
+  return true;
+}
+
+/**
+ * 按规则校验多边形
+ *
+ * @param {number[]} points
+ * @param {object} rules
+ * @param {boolean} [rules.selfIntersection] 不能自相交
+ * @param {number} [rules.minArea] 最小面积
+ * @param {number} [rules.minEdgeLength] 最短边长
+ * @param {boolean} [rules.convex] 必须是凸多边形
+ * @returns {object|null} 不合法时返回 { reason, message }
+ */
+export function validatePolygon(points, rules) {
+  if (rules.selfIntersection && isSelfIntersecting(points)) {
+    return { reason: 'selfIntersection', message: '多边形不能自相交' };
+  }
+  if (rules.minArea && polygonArea(points) < rules.minArea) {
+    return { reason: 'minArea', message: `多边形面积不能小于 ${rules.minArea}` };
+  }
+  if (rules.minEdgeLength && minEdgeLength(points) < rules.minEdgeLength) {
+    return { reason: 'minEdgeLength', message: `多边形边长不能小于 ${rules.minEdgeLength}` };
+  }
+  if (rules.convex && !isConvex(points)) {
+    return { reason: 'convex', message: '必须是凸多边形' };
+  }
+  return null;
+}
+
+/**
+ * 点是否在多边形内, 在边上也算
+ *
+ * @param {number} x
+ * @param {number} y
+ * @param {number[]} points
+ * @returns {boolean}
+ */
+export function pointInPolygon(x, y, points) {
+  const l = points.length;
+  let inside = false;
+  for (let i = 0, j = l - 2; i < l; j = i, i += 2) {
+    const xi = points[i];
+    const yi = points[i + 1];
+    const xj = points[j];
+    const yj = points[j + 1];
+
+    // 在边上
+    if (cross(xi, yi, xj, yj, x, y) === 0 && onSegment(xi, yi, xj, yj, x, y)) {
+      return true;
+    }
+
+    if ((yi > y) !== (yj > y)
+        && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * 线段 ab 上离某点最近的点
+ *
+ * @returns {{x: number, y: number}}
+ */
+export function closestPointOnSegment(x, y, ax, ay, bx, by) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq
+    ? Math.max(0, Math.min(1, ((x - ax) * dx + (y - ay) * dy) / lengthSq))
+    : 0;
+  return {
+    x: ax + t * dx,
+    y: ay + t * dy
+  };
+}
+
+/**
+ * 多边形边上离某点最近的点
+ *
+ * @param {number} x
+ * @param {number} y
+ * @param {number[]} points
+ * @returns {{x: number, y: number}}
+ */
+export function closestPointOnPolygon(x, y, points) {
+  let closest = null;
+  let minDistance = Infinity;
+  eachPoint(points, (ax, ay, pointIndex, pointStart) => {
+    const next = (pointStart + 2) % points.length;
+    const p = closestPointOnSegment(x, y, ax, ay, points[next], points[next + 1]);
+    const d = Math.hypot(x - p.x, y - p.y);
+    if (d < minDistance) {
+      minDistance = d;
+      closest = p;
+    }
+  });
+  return closest;
+}
+
+/**
+ * 按 Ramer–Douglas–Peucker 算法简化闭合多边形
+ *
+ * @param {number[]} points
+ * @param {number} tolerance 去掉的点离简化后的边不超过该距离
+ * @returns {number[]}
+ */
+export function simplifyPolygon(points, tolerance) {
+  const l = points.length;
+  if (l <= 6) {
+    return points.slice(0);
+  }
+
+  // 离第一个点最远的点把闭合路径分成两段折线
+  let far = 0;
+  let maxDistance = -1;
+  eachPoint(points, (x, y, pointIndex, pointStart) => {
+    const d = Math.hypot(x - points[0], y - points[1]);
+    if (d > maxDistance) {
+      maxDistance = d;
+      far = pointStart;
+    }
+  });
+
+  // 末尾补上第一个点, 下标 l 即第一个点
+  const path = points.concat(points[0], points[1]);
+  const keep = { 0: true, [far]: true };
+  const stack = [[0, far], [far, l]];
+  while (stack.length) {
+    const [start, end] = stack.pop();
+    let index = -1;
+    let max = 0;
+    for (let i = start + 2; i < end; i += 2) {
+      const p = closestPointOnSegment(
+        path[i], path[i + 1], path[start], path[start + 1], path[end], path[end + 1]
+      );
+      const d = Math.hypot(path[i] - p.x, path[i + 1] - p.y);
+      if (d > max) {
+        max = d;
+        index = i;
+      }
+    }
+    if (index > -1 && max > tolerance) {
+      keep[index] = true;
+      stack.push([start, index], [index, end]);
+    }
+  }
+
+  const result = [];
+  for (let i = 0; i < l; i += 2) {
+    if (keep[i]) {
+      result.push(points[i], points[i + 1]);
+    }
+  }
+  return result;
+}
+
+// 矩形四个角在局部坐标系中的方向, 依次为左上、右上、右下、左下
+export const RECT_CORNERS = [[-1, -1], [1, -1], [1, 1], [-1, 1]];
+
+/**
+ * 是否是矩形, 四个点依次相连且各个角都是直角
+ *
+ * @param {number[]} points
+ * @param {boolean} [axisAligned] 是否要求边和坐标轴平行
+ * @returns {boolean}
+ */
+export function isRectangle(points, axisAligned) {
+  if (points.length !== 8) {
+    return false;
+  }
+
+  const edges = [];
+  for (let i = 0; i < 8; i += 2) {
+    const next = (i + 2) % 8;
+    const dx = points[next] - points[i];
+    const dy = points[next + 1] - points[i + 1];
+    const length = Math.hypot(dx, dy);
+    if (!length) {
+      return false;
+    }
+    edges.push({ dx, dy, length });
+  }
+
+  // 允许坐标取整带来的误差
+  const tolerance = 0.02;
+  const perpendicular = edges.every((e, i) => {
+    const next = edges[(i + 1) % 4];
+    return Math.abs(e.dx * next.dx + e.dy * next.dy) <= tolerance * e.length * next.length;
+  });
+  if (!perpendicular || !axisAligned) {
+    return perpendicular;
+  }
+
+  const { dx, dy, length } = edges[0];
+  return Math.min(Math.abs(dx), Math.abs(dy)) <= tolerance * length;
+}
+
+/**
+ * 对角两点确定的矩形
+ *
+ * @returns {number[]} 从左上角开始顺时针的四个点
+ */
+export function rectFromCorners(x1, y1, x2, y2) {
+  const left = Math.min(x1, x2);
+  const right = Math.max(x1, x2);
+  const top = Math.min(y1, y2);
+  const bottom = Math.max(y1, y2);
+  return [left, top, right, top, right, bottom, left, bottom];
+}
+
+/**
+ * 矩形的局部坐标系, 原点为中心, u 为第一条边的方向, v 为最后一条边的反方向
+ *
+ * @param {number[]} points
+ * @returns {object}
+ */
+export function getRectFrame(points) {
+  const [x0, y0, x1, y1, , , x3, y3] = points;
+  const width = Math.hypot(x1 - x0, y1 - y0);
+  const height = Math.hypot(x3 - x0, y3 - y0);
+  return {
+    cx: (points[0] + points[2] + points[4] + points[6]) / 4,
+    cy: (points[1] + points[3] + points[5] + points[7]) / 4,
+    width,
+    height,
+    ux: (x1 - x0) / width,
+    uy: (y1 - y0) / width,
+    vx: (x3 - x0) / height,
+    vy: (y3 - y0) / height
+  };
+}
+
+/**
+ * 局部坐标的四个角转换成坐标数组
+ */
+function fromRectFrame(frame, left, top, right, bottom) {
+  const points = [];
+  [[left, top], [right, top], [right, bottom], [left, bottom]].forEach(([lx, ly]) => {
+    points.push(
+      frame.cx + lx * frame.ux + ly * frame.vx,
+      frame.cy + lx * frame.uy + ly * frame.vy,
+    );
+  });
+  return points;
+}
+
+/**
+ * 拖动手柄缩放矩形, 对边保持不动, 边长至少为 1
+ *
+ * @param {number[]} points
+ * @param {number} sx 手柄在局部坐标系 u 方向上的位置, -1, 0 或 1, 0 表示不改变宽度
+ * @param {number} sy 手柄在 v 方向上的位置
+ * @param {number} x 手柄拖到的位置
+ * @param {number} y
+ * @returns {number[]}
+ */
+export function resizeRect(points, sx, sy, x, y) {
+  const frame = getRectFrame(points);
+  // 转换到局部坐标系
+  const lx = (x - frame.cx) * frame.ux + (y - frame.cy) * frame.uy;
+  const ly = (x - frame.cx) * frame.vx + (y - frame.cy) * frame.vy;
+
+  let left = -frame.width / 2;
+  let right = frame.width / 2;
+  let top = -frame.height / 2;
+  let bottom = frame.height / 2;
+  if (sx < 0) {
+    left = Math.min(lx, right - 1);
+  }
+  else if (sx > 0) {
+    right = Math.max(lx, left + 1);
+  }
+  if (sy < 0) {
+    top = Math.min(ly, bottom - 1);
+  }
+  else if (sy > 0) {
+    bottom = Math.max(ly, top + 1);
+  }
+  return fromRectFrame(frame, left, top, right, bottom);
+}
+
+/**
+ * 绕中心旋转矩形
+ *
+ * @param {number[]} points
+ * @param {number} angle 弧度, 顺时针为正
+ * @returns {number[]}
+ */
+export function rotateRect(points, angle) {
+  const { cx, cy } = getRectFrame(points);
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const rotated = [];
+  eachPoint(points, (x, y) => {
+    rotated.push(
+      cx + (x - cx) * cos - (y - cy) * sin,
+      cy + (x - cx) * sin + (y - cy) * cos,
+    );
+  });
+  return rotated;
+}
+
+/**
+ * 有向面积, 正负表示顶点的顺序
+ *
+ * @param {number[]} points
+ * @returns {number}
+ */
+function signedArea(points) {
+  let sum = 0;
+  eachPoint(points, (x, y, pointIndex, pointStart) => {
+    const next = (pointStart + 2) % points.length;
+    sum += x * points[next + 1] - points[next] * y;
+  });
+  return sum / 2;
+}
+
+/**
+ * 反转顶点顺序
+ */
+function reversePoints(points) {
+  const reversed = [];
+  for (let i = points.length - 2; i >= 0; i -= 2) {
+    reversed.push(points[i], points[i + 1]);
+  }
+  return reversed;
+}
+
+/**
+ * 去掉相邻的重复顶点
+ */
+function removeDuplicatePoints(points) {
+  const result = [];
+  eachPoint(points, (x, y) => {
+    const l = result.length;
+    if (!l || result[l - 2] !== x || result[l - 1] !== y) {
+      result.push(x, y);
+    }
+  });
+  // 首尾重复
+  const l = result.length;
+  if (l > 2 && result[0] === result[l - 2] && result[1] === result[l - 1]) {
+    result.splice(l - 2, 2);
+  }
+  return result;
+}
+
+/**
+ * 线段 ab 和 cd 的交点, 不含 b 和 d 端点, 平行时不算相交
+ *
+ * @returns {object|null} { x, y, t, u }, t 和 u 为交点在两条线段上的比例
+ */
+function segmentIntersection(ax, ay, bx, by, cx, cy, dx, dy) {
+  const rx = bx - ax;
+  const ry = by - ay;
+  const sx = dx - cx;
+  const sy = dy - cy;
+  const denom = rx * sy - ry * sx;
+  if (!denom) {
+    return null;
+  }
+
+  const t = ((cx - ax) * sy - (cy - ay) * sx) / denom;
+  const u = ((cx - ax) * ry - (cy - ay) * rx) / denom;
+  if (t < 0 || t >= 1 || u < 0 || u >= 1) {
+    return null;
+  }
+  return {
+    x: ax + t * rx,
+    y: ay + t * ry,
+    t,
+    u
+  };
+}
+
+/**
+ * 去掉共线的顶点, 包括来回折返的尖刺
+ *
+ * @param {number[]} points
+ * @param {number} eps 顶点离前后两点连线的距离不超过该值时去掉
+ * @returns {number[]}
+ */
+function removeCollinearPoints(points, eps) {
+  let result = removeDuplicatePoints(points);
+  let removed = true;
+  while (removed && result.length > 4) {
+    removed = false;
+    const l = result.length;
+    for (let i = 0; i < l; i += 2) {
+      const prev = (i - 2 + l) % l;
+      const next = (i + 2) % l;
+      const ux = result[i] - result[prev];
+      const uy = result[i + 1] - result[prev + 1];
+      const vx = result[next] - result[i];
+      const vy = result[next + 1] - result[i + 1];
+      if (Math.abs(ux * vy - uy * vx) <= eps * Math.max(Math.hypot(ux, uy), Math.hypot(vx, vy))) {
+        result = removeDuplicatePoints(result.slice(0, i).concat(result.slice(i + 2)));
+        removed = true;
+        break;
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * 合并两个多边形, 只保留外轮廓
+ *
+ * 两个多边形统一顶点顺序后, 把边在交点和另一个多边形的顶点处切开,
+ * 去掉在另一个多边形内的边和方向相反的公共边, 剩下的边首尾相连成为外轮廓
+ *
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number[]|null} 两个多边形不相交时返回 null
+ */
+export function unionPolygons(a, b) {
+  const polygons = [a, b].map((points) => removeDuplicatePoints(
+    signedArea(points) < 0 ? reversePoints(points) : points,
+  ));
+  if (polygons.some((points) => points.length < 6)) {
+    return null;
+  }
+
+  // 按坐标范围确定误差
+  const eps = 1e-9 * Math.max(1, ...polygons[0].concat(polygons[1]).map(Math.abs));
+
+  // 距离在误差内的点合并成同一个节点
+  const nodes = [];
+  const nodeAt = (x, y) => {
+    const index = nodes.findIndex((n) => Math.abs(n.x - x) <= eps && Math.abs(n.y - y) <= eps);
+    return index > -1 ? index : nodes.push({ x, y }) - 1;
+  };
+
+  const eachEdge = (points, fn) => {
+    eachPoint(points, (x, y, pointIndex, pointStart) => {
+      const next = (pointStart + 2) % points.length;
+      fn(x, y, points[next], points[next + 1]);
+    });
+  };
+
+  // 边按另一个多边形切开后的片段
+  const edges = polygons.map((points, k) => {
+    const other = polygons[1 - k];
+    const result = [];
+
+    eachEdge(points, (ax, ay, bx, by) => {
+      const rx = bx - ax;
+      const ry = by - ay;
+      const length = Math.hypot(rx, ry);
+      const ts = [0, 1];
+      // 另一个多边形的顶点在这条边上时的比例
+      const project = (x, y) => {
+        const t = ((x - ax) * rx + (y - ay) * ry) / (length * length);
+        if (t > 0 && t < 1 && Math.abs((x - ax) * ry - (y - ay) * rx) <= eps * length) {
+          ts.push(t);
+        }
+      };
+
+      eachEdge(other, (cx, cy, dx, dy) => {
+        const sx = dx - cx;
+        const sy = dy - cy;
+        const denom = rx * sy - ry * sx;
+        // 平行时只有共线的端点会切开这条边
+        if (Math.abs(denom) <= eps * length * Math.hypot(sx, sy)) {
+          project(cx, cy);
+          project(dx, dy);
+          return;
+        }
+        const t = ((cx - ax) * sy - (cy - ay) * sx) / denom;
+        const u = ((cx - ax) * ry - (cy - ay) * rx) / denom;
+        if (t > 0 && t < 1 && u >= 0 && u <= 1) {
+          ts.push(t);
+        }
+      });
+
+      ts.sort((m, n) => m - n);
+      for (let i = 1; i < ts.length; i++) {
+        const from = nodeAt(ax + ts[i - 1] * rx, ay + ts[i - 1] * ry);
+        const to = nodeAt(ax + ts[i] * rx, ay + ts[i] * ry);
+        if (from !== to) {
+          result.push({ from, to, k });
+        }
+      }
+    });
+    return result;
+  });
+
+  // 片段和另一个多边形的关系, 在边上时比较方向
+  let overlapped = false;
+  const kept = [];
+  edges.forEach((list, k) => {
+    const other = polygons[1 - k];
+    list.forEach((edge) => {
+      const from = nodes[edge.from];
+      const to = nodes[edge.to];
+      const mx = (from.x + to.x) / 2;
+      const my = (from.y + to.y) / 2;
+
+      let direction = 0;
+      eachEdge(other, (cx, cy, dx, dy) => {
+        const p = closestPointOnSegment(mx, my, cx, cy, dx, dy);
+        if (!direction && Math.hypot(p.x - mx, p.y - my) <= eps) {
+          direction = (to.x - from.x) * (dx - cx) + (to.y - from.y) * (dy - cy) > 0 ? 1 : -1;
+        }
+      });
+
+      if (direction) {
+        overlapped = true;
+        // 同向的公共边保留一条, 反向的公共边在合并后的内部
+        if (direction > 0 && k === 0) {
+          kept.push(edge);
+        }
+      }
+      else if (pointInPolygon(mx, my, other)) {
+        overlapped = true;
+      }
+      else {
+        kept.push(edge);
+      }
+    });
+  });
+
+  // 只在顶点处接触也不算相交
+  if (!overlapped) {
+    return null;
+  }
+
+  // 片段首尾相连, 有多条出边时取最靠右的, 得到的环都是简单多边形
+  const rings = [];
+  const used = kept.map(() => false);
+  kept.forEach((first, index) => {
+    if (used[index]) {
+      return;
+    }
+    used[index] = true;
+
+    const ring = [first.from];
+    let edge = first;
+    while (edge.to !== first.from) {
+      const from = nodes[edge.from];
+      const to = nodes[edge.to];
+      let next = -1;
+      let minTurn = Infinity;
+      kept.forEach((n, i) => {
+        if (used[i] || n.from !== edge.to) {
+          return;
+        }
+        const target = nodes[n.to];
+        const ux = to.x - from.x;
+        const uy = to.y - from.y;
+        const vx = target.x - to.x;
+        const vy = target.y - to.y;
+        const turn = Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+        if (turn < minTurn) {
+          minTurn = turn;
+          next = i;
+        }
+      });
+      // 走不回起点
+      if (next < 0) {
+        return;
+      }
+      used[next] = true;
+      edge = kept[next];
+      ring.push(edge.from);
+    }
+
+    const points = [];
+    ring.forEach((i) => {
+      points.push(nodes[i].x, nodes[i].y);
+    });
+    rings.push(removeCollinearPoints(points, eps));
+  });
+
+  // 外轮廓是面积最大的环, 其余为内部的洞
+  let result = null;
+  rings.forEach((points) => {
+    if (points.length >= 6 && (!result || signedArea(points) > signedArea(result))) {
+      result = points;
+    }
+  });
+  if (!result || signedArea(result) <= 0) {
+    return null;
+  }
+  // 和第一个多边形的顶点顺序一致
+  return signedArea(a) < 0 ? reversePoints(result) : result;
+}
+
+/**
+ * 用线段把多边形分成两块, 线段两端要在多边形外并且只穿过多边形两次
+ *
+ * @param {number[]} points
+ * @param {number} x1
+ * @param {number} y1
+ * @param {number} x2
+ * @param {number} y2
+ * @returns {number[][]|null} 不能分割时返回 null
+ */
+export function splitPolygon(points, x1, y1, x2, y2) {
+  if (pointInPolygon(x1, y1, points) || pointInPolygon(x2, y2, points)) {
+    return null;
+  }
+
+  const crosses = [];
+  eachPoint(points, (x, y, pointIndex, pointStart) => {
+    const next = (pointStart + 2) % points.length;
+    const p = segmentIntersection(x, y, points[next], points[next + 1], x1, y1, x2, y2);
+    if (p) {
+      crosses.push({ x: p.x, y: p.y, pointStart });
+    }
+  });
+  if (crosses.length !== 2) {
+    return null;
+  }
+
+  // 两个交点之间的顶点各自成为一块
+  const [c1, c2] = crosses;
+  const first = [c1.x, c1.y]
+    .concat(points.slice(c1.pointStart + 2, c2.pointStart + 2))
+    .concat(c2.x, c2.y);
+  const second = [c2.x, c2.y]
+    .concat(points.slice(c2.pointStart + 2))
+    .concat(points.slice(0, c1.pointStart + 2))
+    .concat(c1.x, c1.y);
+
+  const pieces = [first, second].map(removeDuplicatePoints);
+  return pieces.every((n) => n.length >= 6) ? pieces : null;
+}
+
+/**
+ * 多边形向外扩张或向内收缩, 尖角的延伸长度最多为距离的 4 倍
+ *
+ * @param {number[]} points
+ * @param {number} distance 正数向外扩张, 负数向内收缩
+ * @returns {number[]|null} 收缩到消失时返回 null
+ */
+export function offsetPolygon(points, distance) {
+  const area = signedArea(points);
+  const l = points.length;
+  if (!area) {
+    return null;
+  }
+
+  // 按顶点顺序确定外侧法线的方向
+  const sign = area > 0 ? 1 : -1;
+  const normal = (ax, ay, bx, by) => {
+    const length = Math.hypot(bx - ax, by - ay) || 1;
+    return {
+      x: sign * (by - ay) / length,
+      y: -sign * (bx - ax) / length
+    };
+  };
+
+  const limit = Math.abs(distance) * 4;
+  const result = [];
+  eachPoint(points, (x, y, pointIndex, pointStart) => {
+    const prev = (pointStart - 2 + l) % l;
+    const next = (pointStart + 2) % l;
+    const n1 = normal(points[prev], points[prev + 1], x, y);
+    const n2 = normal(x, y, points[next], points[next + 1]);
+
+    // 两条边偏移后的交点
+    const cos = n1.x * n2.x + n1.y * n2.y;
+    let ox = (n1.x + n2.x) * distance / Math.max(1 + cos, 1e-6);
+    let oy = (n1.y + n2.y) * distance / Math.max(1 + cos, 1e-6);
+    const length = Math.hypot(ox, oy);
+    if (length > limit) {
+      ox *= limit / length;
+      oy *= limit / length;
+    }
+    result.push(x + ox, y + oy);
+  });
+
+  // 收缩过度时边的方向会翻转
+  let flipped = false;
+  eachPoint(points, (x, y, pointIndex, pointStart) => {
+    const next = (pointStart + 2) % l;
+    const dx = result[next] - result[pointStart];
+    const dy = result[next + 1] - result[pointStart + 1];
+    if (dx * (points[next] - x) + dy * (points[next + 1] - y) <= 0) {
+      flipped = true;
+    }
+  });
+  return flipped ? null : result;
+}
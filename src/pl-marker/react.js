@@ -0,0 +1,105 @@
+import {
+  createElement,
+  forwardRef,
+  useEffect,
+  useImperativeHandle,
+  useLayoutEffect,
+  useRef
+} from 'react';
+import { mountContainer, MARKER_EVENTS } from './mount';
+
+// change => onChange
+function handlerName(name) {
+  return `on${name.charAt(0).toUpperCase()}${name.slice(1)}`;
+}
+
+/**
+ * React 组件
+ *
+ * props:
+ *  - value: 受控的 value, 可以是带版本号的 payload, 变化时调用 setValue
+ *  - options: initialize 的参数, 只在创建时使用
+ *  - renderCursorBalloon: () => ReactNode 鼠标气泡
+ *  - renderConfirmation: ({ resolve, reject }) => ReactNode 确认浮层
+ *  - onChange, onDelete, onConfirm 等: 对应 Container 的事件
+ *  - className, style: 外层元素, 画布按外层元素的尺寸创建
+ *
+ * ref 为 Container 实例
+ */
+const KonvaMarker = forwardRef((props, ref) => {
+  const {
+    value,
+    options,
+    className,
+    style,
+    renderCursorBalloon,
+    renderConfirmation
+  } = props;
+
+  const elRef = useRef(null);
+  const stageElRef = useRef(null);
+  const balloonElRef = useRef(null);
+  const confirmationElRef = useRef(null);
+  const containerRef = useRef(null);
+
+  // 事件回调始终使用最新的 props
+  const propsRef = useRef(props);
+  propsRef.current = props;
+
+  useLayoutEffect(() => {
+    const { container, dispose } = mountContainer(elRef.current, stageElRef.current, {
+      options,
+      cursorBalloonEl: balloonElRef.current,
+      confirmationEl: confirmationElRef.current,
+      onEvent(name, args) {
+        const handler = propsRef.current[handlerName(name)];
+        if (handler) {
+          handler(...args);
+        }
+      }
+    });
+    containerRef.current = container;
+
+    if (propsRef.current.value) {
+      container.setValue(propsRef.current.value);
+    }
+
+    return () => {
+      containerRef.current = null;
+      dispose();
+    };
+  }, []);
+
+  useImperativeHandle(ref, () => containerRef.current, []);
+
+  // 受控的 value, 和 change 传出的当前值相同时 setValue 不会重绘, 也不会清空历史记录
+  useEffect(() => {
+    if (containerRef.current && value) {
+      containerRef.current.setValue(value);
+    }
+  }, [value]);
+
+  const resolve = () => containerRef.current && containerRef.current.resolveChanges();
+  const reject = () => containerRef.current && containerRef.current.rejectChanges();
+
+  return createElement(
+    'div',
+    {
+      ref: elRef,
+      className,
+      style: Object.assign({ position: 'relative' }, style)
+    },
+    createElement('div', { ref: stageElRef }),
+    renderCursorBalloon
+      ? createElement('div', { ref: balloonElRef }, renderCursorBalloon())
+      : null,
+    renderConfirmation
+      ? createElement('div', { ref: confirmationElRef }, renderConfirmation({ resolve, reject }))
+      : null,
+  );
+});
+
+KonvaMarker.displayName = 'KonvaMarker';
+
+export { MARKER_EVENTS };
+export default KonvaMarker;
@@ -0,0 +1,226 @@
+// value 的版本和结构校验, 和 value.js 一样不依赖 konva 和 DOM
+//
+// 内置版本的格式为 { version: 2, groups: [{ id, type, points, direction, ... }] }
+// 没有版本号的数组视为第 1 版
+
+import { getPointKeys } from './value';
+
+// 内置的版本
+export const VALUE_VERSION = 2;
+
+// 各版本升级到下一个版本的函数, 下标为原版本号
+const migrations = {};
+
+/**
+ * 注册升级函数, 当前版本升高到升级后的版本
+ *
+ * @param {number} version 原版本号
+ * @param {function} fn (payload) => 更高版本的 payload, 默认升级到 version + 1
+ * @returns {function} 取消注册, 还原该版本原来的升级函数
+ */
+export function registerMigration(version, fn) {
+  const prev = migrations[version];
+  migrations[version] = fn;
+  return () => {
+    if (migrations[version] !== fn) {
+      return;
+    }
+    if (prev) {
+      migrations[version] = prev;
+    }
+    else {
+      delete migrations[version];
+    }
+  };
+}
+
+/**
+ * 获取当前版本号, 为内置版本和已注册的升级函数升级后的版本中最高的
+ *
+ * @returns {number}
+ */
+export function getCurrentVersion() {
+  return Object.keys(migrations).reduce(
+    (max, version) => Math.max(max, Number(version) + 1),
+    VALUE_VERSION,
+  );
+}
+
+// 第 1 版为直接传入的数组
+registerMigration(1, (payload) => ({
+  version: 2,
+  groups: payload
+}));
+
+/**
+ * 获取 payload 的版本号
+ *
+ * @param {any} payload
+ * @returns {number|undefined}
+ */
+function getVersion(payload) {
+  if (Array.isArray(payload)) {
+    return 1;
+  }
+  return payload && typeof payload === 'object' ? payload.version : undefined;
+}
+
+/**
+ * 升级到当前版本
+ *
+ * @param {any} payload
+ * @returns {{payload: any, errors: object[]}}
+ */
+export function migratePayload(payload) {
+  let version = getVersion(payload);
+  while (typeof version === 'number' && version < getCurrentVersion()) {
+    const migrate = migrations[version];
+    if (!migrate) {
+      return {
+        payload,
+        errors: [{ path: 'version', reason: 'migration', message: `没有第 ${version} 版的升级函数` }]
+      };
+    }
+    payload = migrate(payload);
+    const next = getVersion(payload);
+    // 升级后版本没有升高时会一直循环
+    if (typeof next !== 'number' || next <= version) {
+      return {
+        payload,
+        errors: [{ path: 'version', reason: 'migration', message: `第 ${version} 版的升级函数没有升高版本号` }]
+      };
+    }
+    version = next;
+  }
+  return { payload, errors: [] };
+}
+
+/**
+ * 校验坐标数组
+ */
+function validatePoints(points, path, minLength, errors) {
+  if (!Array.isArray(points)) {
+    errors.push({ path, reason: 'type', message: '坐标必须是数组' });
+    return;
+  }
+  if (points.length % 2) {
+    errors.push({ path, reason: 'length', message: '坐标必须成对出现' });
+  }
+  if (points.length < minLength) {
+    errors.push({ path, reason: 'length', message: `至少需要 ${minLength / 2} 个点` });
+  }
+  points.forEach((n, i) => {
+    if (!Number.isFinite(n)) {
+      errors.push({ path: `${path}[${i}]`, reason: 'type', message: '坐标必须是有限的数字' });
+    }
+  });
+}
+
+// 可选字段的类型
+const fieldTypes = {
+  id: 'string',
+  type: 'string',
+  label: 'string',
+  color: 'string',
+  labelAnchor: 'string',
+  locked: 'boolean',
+  visible: 'boolean',
+  attributes: 'object'
+};
+
+/**
+ * 校验当前版本的 payload
+ *
+ * @param {any} payload
+ * @returns {object[]} [{ path, reason, message }], 合法时为空数组
+ */
+export function validatePayload(payload) {
+  const errors = [];
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    errors.push({ path: '', reason: 'type', message: 'payload 必须是对象' });
+    return errors;
+  }
+  if (payload.version !== getCurrentVersion()) {
+    errors.push({ path: 'version', reason: 'version', message: `不支持的版本 ${payload.version}` });
+    return errors;
+  }
+  if (!Array.isArray(payload.groups)) {
+    errors.push({ path: 'groups', reason: 'type', message: 'groups 必须是数组' });
+    return errors;
+  }
+
+  const ids = {};
+  payload.groups.forEach((group, index) => {
+    const path = `groups[${index}]`;
+    if (!group || typeof group !== 'object' || Array.isArray(group)) {
+      errors.push({ path, reason: 'type', message: '图组必须是对象' });
+      return;
+    }
+
+    Object.keys(fieldTypes).forEach((key) => {
+      const field = group[key];
+      if (field === undefined) {
+        return;
+      }
+      const type = fieldTypes[key];
+      const valid = type === 'object'
+        ? field !== null && typeof field === 'object' && !Array.isArray(field)
+        : typeof field === type;
+      if (!valid) {
+        errors.push({ path: `${path}.${key}`, reason: 'type', message: `${key} 必须是 ${type}` });
+      }
+    });
+
+    if (typeof group.id === 'string') {
+      if (ids[group.id]) {
+        errors.push({ path: `${path}.id`, reason: 'duplicate', message: `id ${group.id} 重复` });
+      }
+      ids[group.id] = true;
+    }
+
+    // 每个图组至少要有一个图形
+    let shapes = 0;
+    getPointKeys().forEach((key) => {
+      if (group[key] === undefined) {
+        return;
+      }
+      shapes++;
+      // 多边形至少 3 个点, 其他图形至少 2 个点
+      validatePoints(group[key], `${path}.${key}`, key === 'points' ? 6 : 4, errors);
+    });
+    if (!shapes) {
+      errors.push({ path, reason: 'empty', message: '图组没有任何图形' });
+    }
+  });
+  return errors;
+}
+
+/**
+ * 升级并校验, 返回当前版本的图组数组
+ *
+ * @param {any} payload
+ * @returns {{value: object[]|null, errors: object[]}}
+ */
+export function parsePayload(payload) {
+  const migrated = migratePayload(payload);
+  const errors = migrated.errors.length
+    ? migrated.errors
+    : validatePayload(migrated.payload);
+  return {
+    value: errors.length ? null : migrated.payload.groups,
+    errors
+  };
+}
+
+/**
+ * 转换成当前版本的 payload
+ *
+ * @param {object[]} value
+ * @returns {object}
+ */
+export function toPayload(value) {
+  return {
+    version: getCurrentVersion(),
+    groups: value
+  };
+}
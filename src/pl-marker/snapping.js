@@ -0,0 +1,110 @@
+import { eachPoint } from '../_shared/util';
+import { closestPointOnSegment } from './polygon';
+
+/**
+ * 吸附坐标点, 优先级: 角度 > 顶点 > 边 > 网格
+ *
+ * @param {number} x
+ * @param {number} y
+ * @param {object} opts
+ * @param {object[]} opts.shapes 参与吸附的图形 [{ points, closed }]
+ * @param {number} opts.tolerance 顶点和边的吸附半径
+ * @param {boolean} [opts.vertex] 吸附顶点
+ * @param {boolean} [opts.edge] 吸附边
+ * @param {number} [opts.grid] 网格大小, 0 表示不吸附
+ * @param {number} [opts.angle] 角度步长, 0 表示不吸附
+ * @param {{x: number, y: number}} [opts.anchor] 角度吸附的起点
+ * @returns {{x: number, y: number, type: string|null, guide: any}}
+ */
+export function snapPoint(x, y, opts) {
+  const { anchor, angle, tolerance } = opts;
+
+  // 以起点为中心按角度步长吸附, 保持长度不变
+  if (angle && anchor) {
+    const dx = x - anchor.x;
+    const dy = y - anchor.y;
+    const step = angle * Math.PI / 180;
+    const theta = Math.round(Math.atan2(dy, dx) / step) * step;
+    const r = Math.hypot(dx, dy);
+    return {
+      x: Math.round(anchor.x + r * Math.cos(theta)),
+      y: Math.round(anchor.y + r * Math.sin(theta)),
+      type: 'angle',
+      guide: anchor
+    };
+  }
+
+  if (opts.vertex) {
+    const vertex = closestVertex(x, y, opts.shapes, tolerance);
+    if (vertex) {
+      return { x: vertex.x, y: vertex.y, type: 'vertex', guide: vertex };
+    }
+  }
+
+  if (opts.edge) {
+    const edge = closestEdge(x, y, opts.shapes, tolerance);
+    if (edge) {
+      return { x: edge.x, y: edge.y, type: 'edge', guide: edge.segment };
+    }
+  }
+
+  const { grid } = opts;
+  if (grid) {
+    return {
+      x: Math.round(x / grid) * grid,
+      y: Math.round(y / grid) * grid,
+      type: 'grid',
+      guide: null
+    };
+  }
+
+  return { x, y, type: null, guide: null };
+}
+
+/**
+ * 吸附半径内最近的顶点
+ *
+ * @returns {{x: number, y: number}|null}
+ */
+function closestVertex(x, y, shapes, tolerance) {
+  let closest = null;
+  let minDistance = tolerance;
+  shapes.forEach(({ points }) => {
+    eachPoint(points, (px, py) => {
+      const d = Math.hypot(x - px, y - py);
+      if (d <= minDistance) {
+        minDistance = d;
+        closest = { x: px, y: py };
+      }
+    });
+  });
+  return closest;
+}
+
+/**
+ * 吸附半径内最近的边, 未闭合的图形不连接首尾
+ *
+ * @returns {{x: number, y: number, segment: number[]}|null}
+ */
+function closestEdge(x, y, shapes, tolerance) {
+  let closest = null;
+  let minDistance = tolerance;
+  shapes.forEach(({ points, closed }) => {
+    const l = points.length;
+    eachPoint(points, (ax, ay, pointIndex, pointStart) => {
+      if (!closed && pointStart + 2 >= l) {
+        return;
+      }
+      const next = (pointStart + 2) % l;
+      const bx = points[next];
+      const by = points[next + 1];
+      const p = closestPointOnSegment(x, y, ax, ay, bx, by);
+      const d = Math.hypot(x - p.x, y - p.y);
+      if (d <= minDistance) {
+        minDistance = d;
+        closest = { x: p.x, y: p.y, segment: [ax, ay, bx, by] };
+      }
+    });
+  });
+  return closest;
+}
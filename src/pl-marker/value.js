@@ -0,0 +1,310 @@
+// value 的纯函数处理, 不依赖 konva 和 DOM, 可以在 Node 中使用
+// value 为图组数组, 比如 [{ id, type, points: [x1, y1, x2, y2, ...], direction }]
+
+import {
+  polygonArea,
+  pointInPolygon,
+  validatePolygon
+} from './polygon';
+
+export { polygonArea, pointInPolygon, validatePolygon };
+
+// 多边形存放在图组中的字段
+export const POLYGON_KEY = 'points';
+
+// 图组中存放坐标的字段, 注册图形分类时追加
+const pointKeys = [POLYGON_KEY, 'direction'];
+
+/**
+ * 登记存放坐标的字段
+ *
+ * @param {string} key
+ */
+export function registerPointKey(key) {
+  if (!pointKeys.includes(key)) {
+    pointKeys.push(key);
+  }
+}
+
+/**
+ * 存放坐标的字段
+ *
+ * @returns {string[]}
+ */
+export function getPointKeys() {
+  return pointKeys.slice(0);
+}
+
+/**
+ * 遍历图组中的坐标字段
+ *
+ * @param {object} item
+ * @param {function} fn (points, key)
+ */
+function eachPointKey(item, fn) {
+  pointKeys.forEach((key) => {
+    if (Array.isArray(item[key])) {
+      fn(item[key], key);
+    }
+  });
+}
+
+/**
+ * 转换所有坐标, fn(n, j) 中 j 为下标, 奇数为 y 坐标
+ *
+ * @param {object[]} value
+ * @param {function} fn
+ * @returns {object[]}
+ */
+export function mapPoints(value, fn) {
+  return value.map((item) => {
+    const newItem = Object.assign({}, item);
+    eachPointKey(item, (points, key) => {
+      newItem[key] = points.map(fn);
+    });
+    return newItem;
+  });
+}
+
+/**
+ * 深拷贝 value
+ *
+ * @param {object[]} value
+ * @returns {object[]}
+ */
+export function cloneValue(value) {
+  return value.map((item) => {
+    const newItem = Object.assign({}, item);
+    Object.keys(item).forEach((k) => {
+      if (Array.isArray(item[k])) {
+        newItem[k] = item[k].slice(0);
+      }
+    });
+    return newItem;
+  });
+}
+
+/**
+ * 规范化 value, 去掉不是对象的图组, 坐标转换成数字并去掉多余的单个坐标
+ *
+ * @param {any} value
+ * @returns {object[]}
+ */
+export function normalizeValue(value) {
+  if (!Array.isArray(value)) {
+    return [];
+  }
+
+  return value
+    .filter((item) => item && typeof item === 'object' && !Array.isArray(item))
+    .map((item) => {
+      const newItem = Object.assign({}, item);
+      if (newItem.id !== undefined && newItem.id !== null) {
+        newItem.id = String(newItem.id);
+      }
+      eachPointKey(item, (points, key) => {
+        const numbers = points.map(Number);
+        newItem[key] = numbers.slice(0, numbers.length - (numbers.length % 2));
+      });
+      return newItem;
+    });
+}
+
+/**
+ * 比例坐标转换成像素坐标
+ *
+ * @param {object[]} value
+ * @param {number} width
+ * @param {number} height
+ * @returns {object[]}
+ */
+export function ratio2px(value, width, height) {
+  return mapPoints(value, (n, j) => n * (j % 2 ? height : width));
+}
+
+/**
+ * 像素坐标转换成比例坐标
+ *
+ * @param {object[]} value
+ * @param {number} width
+ * @param {number} height
+ * @param {number} [decimals] 保留小数位
+ * @returns {object[]}
+ */
+export function px2ratio(value, width, height, decimals) {
+  return mapPoints(value, (n, j) => {
+    const ratio = n / (j % 2 ? height : width);
+    return decimals === undefined ? ratio : Number(ratio.toFixed(decimals));
+  });
+}
+
+/**
+ * 尺寸变化时按比例缩放坐标
+ *
+ * @param {object[]} value
+ * @param {number} ratioW 宽度缩放比例
+ * @param {number} ratioH 高度缩放比例
+ * @returns {object[]}
+ */
+export function scaleValue(value, ratioW, ratioH) {
+  return mapPoints(value, (n, j) => n * (j % 2 ? ratioH : ratioW));
+}
+
+/**
+ * 图片坐标转换成画布像素坐标
+ *
+ * @param {object[]} value
+ * @param {object} background 背景的位置和缩放 { x, y, scaleX, scaleY }
+ * @returns {object[]}
+ */
+export function image2stage(value, { scaleX, scaleY, x, y }) {
+  return mapPoints(value, (n, j) => (j % 2 ? n * scaleY + y : n * scaleX + x));
+}
+
+/**
+ * 画布像素坐标转换成图片坐标
+ *
+ * @param {object[]} value
+ * @param {object} background 背景的位置和缩放 { x, y, scaleX, scaleY }
+ * @returns {object[]}
+ */
+export function stage2image(value, { scaleX, scaleY, x, y }) {
+  return mapPoints(value, (n, j) => (j % 2 ? (n - y) / scaleY : (n - x) / scaleX));
+}
+
+/**
+ * 更新图组的字段, 不传 key 时删除图组, 直接修改并返回 value
+ *
+ * @param {object[]} value
+ * @param {string} id 图组 id
+ * @param {string} [key]
+ * @param {any} [field]
+ * @returns {object[]}
+ */
+export function updateGroup(value, id, key, field) {
+  const index = value.findIndex((n) => n.id === id);
+
+  if (index > -1) {
+    if (key) {
+      value[index][key] = field;
+    }
+    else {
+      value.splice(index, 1);
+    }
+  }
+  return value;
+}
+
+/**
+ * 比较两个值是否相等, 数组和对象逐项比较
+ *
+ * @param {any} a
+ * @param {any} b
+ * @returns {boolean}
+ */
+function deepEquals(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') {
+    return false;
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length
+    && keysA.every((k) => deepEquals(a[k], b[k]));
+}
+
+/**
+ * value 是否相等
+ *
+ * @param {object[]} a
+ * @param {object[]} b
+ * @returns {boolean}
+ */
+export function valueEquals(a, b) {
+  return Array.isArray(a)
+    && Array.isArray(b)
+    && deepEquals(a, b);
+}
+
+/**
+ * 外部传入的 value 和当前值是否相同, 在对外的坐标下比较
+ *
+ * 比例坐标和图片坐标转换回画布坐标有误差, 受控组件把 change 传出的值传回时在画布坐标下比较会不相等
+ *
+ * @param {object[]} newValue 对外的 value
+ * @param {object[]} value 画布像素坐标的当前值
+ * @param {function} toExternal (value) => 对外的 value
+ * @returns {boolean}
+ */
+export function externalValueEquals(newValue, value, toExternal) {
+  return valueEquals(newValue, toExternal(value));
+}
+
+/**
+ * 图组多边形的面积
+ *
+ * @param {object} item
+ * @returns {number}
+ */
+export function groupArea(item) {
+  return Array.isArray(item.points) ? polygonArea(item.points) : 0;
+}
+
+/**
+ * 点是否在图组的多边形内
+ *
+ * @param {object} item
+ * @param {number} x
+ * @param {number} y
+ * @returns {boolean}
+ */
+export function groupContainsPoint(item, x, y) {
+  return Array.isArray(item.points) && pointInPolygon(x, y, item.points);
+}
+
+/**
+ * 校验 value, 返回所有不合法的地方
+ *
+ * @param {object[]} value
+ * @param {object} [rules] 多边形校验规则, 见 validatePolygon
+ * @returns {object[]} [{ index, id, key, reason, message }], 合法时为空数组
+ */
+export function validateValue(value, rules = {}) {
+  if (!Array.isArray(value)) {
+    return [{ index: -1, reason: 'type', message: 'value 必须是数组' }];
+  }
+
+  const errors = [];
+  value.forEach((item, index) => {
+    const error = (key, reason, message) => {
+      errors.push({ index, id: item && item.id, key, reason, message });
+    };
+
+    if (!item || typeof item !== 'object') {
+      error(undefined, 'type', '图组必须是对象');
+      return;
+    }
+
+    eachPointKey(item, (points, key) => {
+      if (points.length % 2 || !points.every((n) => Number.isFinite(n))) {
+        error(key, 'points', `${key} 必须是成对的数字坐标`);
+      }
+    });
+
+    const { points } = item;
+    if (Array.isArray(points) && points.length % 2 === 0) {
+      const result = validatePolygon(points, rules);
+      if (result) {
+        error('points', result.reason, result.message);
+      }
+    }
+  });
+  return errors;
+}
+
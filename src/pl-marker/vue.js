@@ -0,0 +1,97 @@
+import {
+  defineComponent,
+  h,
+  onBeforeUnmount,
+  onMounted,
+  ref,
+  watch
+} from 'vue';
+import { mountContainer, MARKER_EVENTS } from './mount';
+
+/**
+ * Vue 组件
+ *
+ * props:
+ *  - value: 受控的 value, 可以是带版本号的 payload, 支持 v-model:value
+ *  - options: initialize 的参数, 只在创建时使用
+ *
+ * slots:
+ *  - cursorBalloon: 鼠标气泡
+ *  - confirmation: 确认浮层, 参数为 { resolve, reject }
+ *
+ * 事件和 Container 相同, 见 MARKER_EVENTS, 通过 ref 的 getContainer() 获取 Container 实例
+ */
+export default defineComponent({
+  name: 'KonvaMarker',
+
+  props: {
+    value: {
+      type: [Array, Object], // 图组数组或者带版本号的 { version, groups }
+      default: null
+    },
+    options: {
+      type: Object,
+      default: () => ({})
+    }
+  },
+
+  emits: MARKER_EVENTS.concat('update:value'),
+
+  setup(props, { emit, slots, expose }) {
+    const el = ref(null);
+    const stageEl = ref(null);
+    const balloonEl = ref(null);
+    const confirmationEl = ref(null);
+    let mounted = null;
+
+    onMounted(() => {
+      mounted = mountContainer(el.value, stageEl.value, {
+        options: props.options,
+        cursorBalloonEl: balloonEl.value,
+        confirmationEl: confirmationEl.value,
+        onEvent(name, args) {
+          emit(name, ...args);
+          if (name === 'change') {
+            emit('update:value', args[0]);
+          }
+        }
+      });
+
+      if (props.value) {
+        mounted.container.setValue(props.value);
+      }
+    });
+
+    onBeforeUnmount(() => {
+      if (mounted) {
+        mounted.dispose();
+        mounted = null;
+      }
+    });
+
+    // 受控的 value, 和 change 传出的当前值相同时 setValue 不会重绘, 也不会清空历史记录
+    watch(() => props.value, (value) => {
+      if (mounted && value) {
+        mounted.container.setValue(value);
+      }
+    });
+
+    const getContainer = () => mounted && mounted.container;
+    const resolve = () => mounted && mounted.container.resolveChanges();
+    const reject = () => mounted && mounted.container.rejectChanges();
+
+    expose({ getContainer });
+
+    return () => h('div', { ref: el, style: { position: 'relative' } }, [
+      h('div', { ref: stageEl }),
+      slots.cursorBalloon
+        ? h('div', { ref: balloonEl }, slots.cursorBalloon())
+        : null,
+      slots.confirmation
+        ? h('div', { ref: confirmationEl }, slots.confirmation({ resolve, reject }))
+        : null
+    ]);
+  }
+});
+
+export { MARKER_EVENTS };
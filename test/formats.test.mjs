@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  toGeoJSON,
+  fromGeoJSON,
+  toCOCO,
+  toLabelMe,
+  fromLabelMe
+} from '../src/pl-marker/formats.js';
+
+const value = [
+  { id: 'a', type: 'car', points: [0, 0, 10, 0, 10, 10, 0, 10], direction: [5, 5, 5, 0] },
+  { id: 'b', type: 'person', points: [20, 20, 30, 20, 25, 30] }
+];
+
+test('GeoJSON 往返', () => {
+  const geojson = toGeoJSON(value);
+  assert.equal(geojson.features.length, 2);
+  assert.deepEqual(geojson.features[0].geometry.coordinates[0], [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]]);
+  assert.deepEqual(geojson.features[0].properties.direction, [[5, 5], [5, 0]]);
+  assert.deepEqual(fromGeoJSON(geojson), value);
+  assert.deepEqual(fromGeoJSON(geojson.features[1]), [value[1]]);
+});
+
+test('fromGeoJSON 不支持 Polygon 以外的类型', () => {
+  assert.throws(() => fromGeoJSON({ type: 'Feature', geometry: { type: 'Point', coordinates: [0, 0] } }));
+});
+
+test('toCOCO 按 type 生成类别', () => {
+  const coco = toCOCO(value, { width: 100, height: 50, categories: ['person'] });
+  assert.deepEqual(coco.images, [{ id: 1, width: 100, height: 50, file_name: '' }]);
+  assert.deepEqual(coco.categories, [{ id: 1, name: 'person' }, { id: 2, name: 'car' }]);
+
+  const [a, b] = coco.annotations;
+  assert.equal(a.category_id, 2);
+  assert.equal(b.category_id, 1);
+  assert.equal(a.area, 100);
+  assert.deepEqual(b.bbox, [20, 20, 10, 10]);
+  assert.deepEqual(a.segmentation, [value[0].points]);
+  assert.deepEqual(a.attributes, { direction: [[5, 5], [5, 0]], id: 'a' });
+});
+
+test('LabelMe 往返', () => {
+  const json = toLabelMe(value, { width: 100, height: 50, imagePath: 'a.jpg' });
+  assert.equal(json.imagePath, 'a.jpg');
+  assert.equal(json.shapes[0].label, 'car');
+  assert.deepEqual(fromLabelMe(json), value);
+});
+
+test('LabelMe 的 description 保存图组标签', () => {
+  const labeled = [{ id: 'a', type: 'car', label: '1', points: [0, 0, 10, 0, 10, 10] }];
+  const json = toLabelMe(labeled, { width: 100, height: 50 });
+  assert.equal(json.shapes[0].label, 'car');
+  assert.equal(json.shapes[0].description, '1');
+  assert.deepEqual(fromLabelMe(json), labeled);
+});
+
+test('fromLabelMe 矩形转换成四个点', () => {
+  const result = fromLabelMe({
+    shapes: [
+      { label: 'car', shape_type: 'rectangle', points: [[0, 0], [10, 5]] },
+      { label: 'x', shape_type: 'circle', points: [[0, 0], [1, 1]] }
+    ]
+  });
+  assert.deepEqual(result, [{ type: 'car', points: [0, 0, 10, 0, 10, 5, 0, 5] }]);
+});
+
+test('fromLabelMe 没有 shapes 时返回空数组', () => {
+  assert.deepEqual(fromLabelMe({ version: '5.0.1' }), []);
+  assert.deepEqual(fromLabelMe({ shapes: null }), []);
+  assert.deepEqual(fromLabelMe(null), []);
+});
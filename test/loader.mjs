@@ -0,0 +1,19 @@
+// 让 Node 直接加载 src 中的 ES 模块: 补全相对路径的 .js 扩展名, 按 ES 模块加载
+//
+// node --import ./test/register.mjs --test test/
+
+const SRC = new URL('../src/', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  if (/^\.\.?\//.test(specifier) && !/\.[cm]?js$/.test(specifier)) {
+    return nextResolve(`${specifier}.js`, context);
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(SRC)) {
+    return nextLoad(url, Object.assign({}, context, { format: 'module' }));
+  }
+  return nextLoad(url, context);
+}
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fillPolygon, createMask } from '../src/pl-marker/mask.js';
+
+/**
+ * 掩码转换成字符串方便比较, 每行一个字符串
+ */
+function rows({ width, height, data }) {
+  const result = [];
+  for (let row = 0; row < height; row++) {
+    result.push(Array.from(data.subarray(row * width, (row + 1) * width)).join(''));
+  }
+  return result;
+}
+
+test('fillPolygon 以像素中心判断', () => {
+  const data = new Uint8Array(16);
+  fillPolygon(data, 4, 4, [1, 1, 3, 1, 3, 3, 1, 3], 2);
+  assert.deepEqual(rows({ width: 4, height: 4, data }), ['0000', '0220', '0220', '0000']);
+});
+
+test('fillPolygon 裁剪到掩码范围内', () => {
+  const data = new Uint8Array(9);
+  fillPolygon(data, 3, 3, [-5, -5, 10, -5, 10, 10, -5, 10], 1);
+  assert.deepEqual(Array.from(data), [1, 1, 1, 1, 1, 1, 1, 1, 1]);
+});
+
+test('createMask 按 types 生成标签, 后面的图组覆盖前面的图组', () => {
+  const mask = createMask([
+    { type: 'a', points: [0, 0, 4, 0, 4, 2, 0, 2] },
+    { type: 'b', points: [2, 0, 4, 0, 4, 4, 2, 4] },
+    { type: 'c', points: [0, 2, 2, 2, 2, 4, 0, 4] },
+    { type: 'a', points: [0, 0, 1, 0] }
+  ], { width: 4, height: 4, types: ['a', 'b'] });
+  assert.deepEqual(rows(mask), ['1122', '1122', '0022', '0022']);
+  assert.deepEqual(mask.labels, { 1: 'a', 2: 'b' });
+});
+
+test('createMask 不传 types 时都为 1, 并按比例缩放坐标', () => {
+  const mask = createMask(
+    [{ points: [0, 0, 1, 0, 1, 1, 0, 1] }],
+    { width: 2, height: 2, scaleX: 2, scaleY: 1 },
+  );
+  assert.deepEqual(rows(mask), ['11', '00']);
+  assert.deepEqual(mask.labels, { 1: null });
+});
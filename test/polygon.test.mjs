@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  polygonArea,
+  polygonCentroid,
+  minEdgeLength,
+  isSelfIntersecting,
+  isConvex,
+  validatePolygon,
+  pointInPolygon,
+  closestPointOnPolygon,
+  simplifyPolygon,
+  isRectangle,
+  rectFromCorners,
+  resizeRect,
+  rotateRect,
+  unionPolygons,
+  splitPolygon,
+  offsetPolygon
+} from '../src/pl-marker/polygon.js';
+
+const square = [0, 0, 10, 0, 10, 10, 0, 10];
+
+/**
+ * 坐标保留 6 位小数, 避免浮点误差
+ */
+function round(points) {
+  return points.map((n) => Math.round(n * 1e6) / 1e6 + 0);
+}
+
+test('面积和最短边', () => {
+  assert.equal(polygonArea(square), 100);
+  assert.equal(polygonArea([0, 10, 10, 10, 10, 0, 0, 0]), 100);
+  assert.equal(minEdgeLength([0, 0, 10, 0, 10, 3]), 3);
+});
+
+test('重心', () => {
+  assert.deepEqual(polygonCentroid(square), { x: 5, y: 5 });
+  assert.deepEqual(polygonCentroid([0, 0, 6, 0, 0, 6]), { x: 2, y: 2 });
+});
+
+test('自相交和凸多边形', () => {
+  assert.ok(!isSelfIntersecting(square));
+  assert.ok(isSelfIntersecting([0, 0, 10, 10, 10, 0, 0, 10]));
+  assert.ok(isConvex(square));
+  assert.ok(!isConvex([0, 0, 10, 0, 5, 2, 10, 10, 0, 10]));
+});
+
+test('validatePolygon 返回第一个不满足的规则', () => {
+  assert.equal(validatePolygon(square, { selfIntersection: true, minArea: 50, convex: true }), null);
+  assert.equal(validatePolygon(square, { minArea: 200 }).reason, 'minArea');
+  assert.equal(validatePolygon(square, { minEdgeLength: 20 }).reason, 'minEdgeLength');
+  assert.equal(validatePolygon([0, 0, 10, 10, 10, 0, 0, 10], { selfIntersection: true }).reason, 'selfIntersection');
+});
+
+test('点和多边形', () => {
+  assert.ok(pointInPolygon(5, 5, square));
+  assert.ok(!pointInPolygon(11, 5, square));
+  const closest = closestPointOnPolygon(5, -3, square);
+  assert.equal(closest.x, 5);
+  assert.equal(closest.y, 0);
+});
+
+test('simplifyPolygon 去掉偏离小于容差的点', () => {
+  const points = [0, 0, 5, 0.5, 10, 0, 10, 10, 5, 9.5, 0, 10];
+  assert.deepEqual(simplifyPolygon(points, 1), square);
+  assert.deepEqual(simplifyPolygon(points, 0.1), points);
+});
+
+test('矩形的判断、缩放和旋转', () => {
+  const rect = rectFromCorners(10, 10, 0, 0);
+  assert.deepEqual(rect, square);
+  assert.ok(isRectangle(rect, true));
+  assert.ok(!isRectangle([0, 0, 10, 0, 12, 10, 0, 10]));
+
+  assert.deepEqual(round(resizeRect(rect, 1, 0, 20, 5)), [0, 0, 20, 0, 20, 10, 0, 10]);
+
+  const rotated = rotateRect(rect, Math.PI / 2);
+  assert.ok(isRectangle(rotated));
+  assert.ok(!isRectangle(rotateRect(rect, Math.PI / 4), true));
+  assert.equal(Math.round(polygonArea(rotated)), 100);
+});
+
+test('unionPolygons 合并相交的多边形', () => {
+  const union = unionPolygons(square, [5, 5, 15, 5, 15, 15, 5, 15]);
+  assert.equal(polygonArea(union), 175);
+  assert.ok(!isSelfIntersecting(union));
+  assert.equal(unionPolygons(square, [20, 20, 30, 20, 30, 30]), null);
+});
+
+test('unionPolygons 部分重合的公共边不留下退化的顶点', () => {
+  const union = unionPolygons(square, [10, 2, 20, 2, 20, 8, 10, 8]);
+  assert.deepEqual(union, [0, 0, 10, 0, 10, 2, 20, 2, 20, 8, 10, 8, 10, 10, 0, 10]);
+  assert.equal(validatePolygon(union, { selfIntersection: true }), null);
+});
+
+test('unionPolygons 公共边和包含关系', () => {
+  assert.deepEqual(unionPolygons(square, [10, 0, 20, 0, 20, 10, 10, 10]), [0, 0, 20, 0, 20, 10, 0, 10]);
+  assert.deepEqual(unionPolygons(square, [0, 10, 10, 10, 10, 0, 0, 0]), square);
+  assert.deepEqual(unionPolygons([2, 2, 8, 2, 8, 8, 2, 8], square), square);
+  // 只在顶点处接触
+  assert.equal(unionPolygons(square, [10, 10, 20, 10, 20, 20, 10, 20]), null);
+});
+
+test('splitPolygon 沿线段分成两块', () => {
+  const pieces = splitPolygon(square, 5, -5, 5, 15);
+  assert.equal(pieces.length, 2);
+  assert.deepEqual(pieces.map(polygonArea), [50, 50]);
+  // 线段端点在多边形内
+  assert.equal(splitPolygon(square, 5, 5, 5, 15), null);
+});
+
+test('offsetPolygon 扩张和收缩', () => {
+  assert.deepEqual(round(offsetPolygon(square, 1)), [-1, -1, 11, -1, 11, 11, -1, 11]);
+  assert.deepEqual(round(offsetPolygon(square, -2)), [2, 2, 8, 2, 8, 8, 2, 8]);
+  assert.equal(offsetPolygon(square, -6), null);
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  VALUE_VERSION,
+  getCurrentVersion,
+  registerMigration,
+  migratePayload,
+  validatePayload,
+  parsePayload,
+  toPayload
+} from '../src/pl-marker/schema.js';
+
+const square = [0, 0, 10, 0, 10, 10, 0, 10];
+
+test('没有版本号的数组升级到当前版本', () => {
+  const { payload, errors } = migratePayload([{ id: 'a', points: square }]);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(payload, { version: VALUE_VERSION, groups: [{ id: 'a', points: square }] });
+});
+
+test('parsePayload 返回图组数组', () => {
+  const groups = [{ id: 'a', points: square, direction: [0, 0, 1, 1] }];
+  assert.deepEqual(parsePayload(groups), { value: groups, errors: [] });
+  assert.deepEqual(parsePayload(toPayload(groups)), { value: groups, errors: [] });
+});
+
+test('validatePayload 返回所有错误的路径', () => {
+  const errors = validatePayload({
+    version: VALUE_VERSION,
+    groups: [
+      { id: 'a', points: [0, 0, 1] },
+      { id: 'a', points: square, locked: 'yes' },
+      { id: 'c' },
+      null
+    ]
+  });
+  assert.deepEqual(errors.map(({ path, reason }) => [path, reason]), [
+    ['groups[0].points', 'length'],
+    ['groups[0].points', 'length'],
+    ['groups[1].locked', 'type'],
+    ['groups[1].id', 'duplicate'],
+    ['groups[2]', 'empty'],
+    ['groups[3]', 'type']
+  ]);
+  assert.equal(validatePayload({ version: 99, groups: [] })[0].reason, 'version');
+  assert.equal(validatePayload({ version: VALUE_VERSION })[0].reason, 'type');
+  assert.equal(validatePayload('x')[0].reason, 'type');
+});
+
+test('不合法时 value 为 null', () => {
+  const { value, errors } = parsePayload([{ points: [0, 'x'] }]);
+  assert.equal(value, null);
+  assert.equal(errors[0].path, 'groups[0].points');
+});
+
+test('没有升级函数时返回 migration 错误', () => {
+  const { errors } = migratePayload({ version: 0, groups: [] });
+  assert.equal(errors[0].reason, 'migration');
+});
+
+test('升级函数没有升高版本号时返回 migration 错误', (t) => {
+  t.after(registerMigration(-1, (payload) => payload));
+  const { errors } = migratePayload({ version: -1, groups: [] });
+  assert.equal(errors[0].reason, 'migration');
+});
+
+test('注册更高版本的升级函数后当前版本随之升高', (t) => {
+  t.after(registerMigration(VALUE_VERSION, (payload) => ({
+    version: VALUE_VERSION + 1,
+    groups: payload.groups.map((group) => Object.assign({ label: '' }, group))
+  })));
+  assert.equal(getCurrentVersion(), VALUE_VERSION + 1);
+  assert.equal(toPayload([]).version, VALUE_VERSION + 1);
+  assert.deepEqual(parsePayload([{ id: 'a', points: square }]).value, [{ label: '', id: 'a', points: square }]);
+  assert.equal(validatePayload({ version: VALUE_VERSION, groups: [] })[0].reason, 'version');
+});
+
+test('取消注册后还原当前版本和原来的升级函数', () => {
+  const unregister = registerMigration(1, () => ({ version: VALUE_VERSION + 1, groups: [] }));
+  const unregisterNext = registerMigration(VALUE_VERSION, (payload) => payload);
+  assert.equal(getCurrentVersion(), VALUE_VERSION + 1);
+
+  unregisterNext();
+  unregister();
+  assert.equal(getCurrentVersion(), VALUE_VERSION);
+  assert.deepEqual(parsePayload([{ id: 'a', points: square }]).value, [{ id: 'a', points: square }]);
+});
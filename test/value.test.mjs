@@ -0,0 +1,144 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePayload, toPayload } from '../src/pl-marker/schema.js';
+import {
+  mapPoints,
+  cloneValue,
+  normalizeValue,
+  ratio2px,
+  px2ratio,
+  image2stage,
+  stage2image,
+  scaleValue,
+  updateGroup,
+  valueEquals,
+  externalValueEquals,
+  groupArea,
+  groupContainsPoint,
+  validateValue
+} from '../src/pl-marker/value.js';
+
+const square = [0, 0, 10, 0, 10, 10, 0, 10];
+
+test('在没有 DOM 的环境中加载', () => {
+  assert.equal(typeof globalThis.document, 'undefined');
+  assert.equal(typeof globalThis.window, 'undefined');
+});
+
+test('mapPoints 只转换坐标字段', () => {
+  const value = [{ id: 'a', points: [1, 2, 3, 4], direction: [5, 6, 7, 8], label: 'x' }];
+  const result = mapPoints(value, (n, j) => (j % 2 ? n * 10 : n));
+  assert.deepEqual(result, [{ id: 'a', points: [1, 20, 3, 40], direction: [5, 60, 7, 80], label: 'x' }]);
+  assert.deepEqual(value[0].points, [1, 2, 3, 4]);
+});
+
+test('cloneValue 复制图组和数组', () => {
+  const value = [{ id: 'a', points: square.slice(0) }];
+  const copy = cloneValue(value);
+  copy[0].points.push(1, 1);
+  updateGroup(copy, 'a', 'label', 'b');
+  assert.equal(value[0].points.length, 8);
+  assert.equal(value[0].label, undefined);
+});
+
+test('normalizeValue 去掉不合法的图组和单个坐标', () => {
+  const value = normalizeValue([null, 1, [], { id: 3, points: ['1', 2, 3] }]);
+  assert.deepEqual(value, [{ id: '3', points: [1, 2] }]);
+  assert.deepEqual(normalizeValue('x'), []);
+});
+
+test('比例坐标和像素坐标互相转换', () => {
+  const value = [{ id: 'a', points: [50, 25, 100, 50] }];
+  const ratio = px2ratio(value, 200, 100, 2);
+  assert.deepEqual(ratio[0].points, [0.25, 0.25, 0.5, 0.5]);
+  assert.deepEqual(ratio2px(ratio, 200, 100), value);
+  assert.deepEqual(px2ratio([{ points: [1, 1] }], 3, 3, 2)[0].points, [0.33, 0.33]);
+  assert.deepEqual(scaleValue(value, 2, 0.5)[0].points, [100, 12.5, 200, 25]);
+});
+
+test('图片坐标和画布坐标互相转换', () => {
+  const background = { x: 10, y: 20, scaleX: 0.5, scaleY: 2 };
+  const value = [{ id: 'a', points: [0, 0, 100, 10] }];
+  const stage = image2stage(value, background);
+  assert.deepEqual(stage[0].points, [10, 20, 60, 40]);
+  assert.deepEqual(stage2image(stage, background), value);
+});
+
+const internalValue = [{ id: 'a', points: [33.3, 66.7, 123.4, 10.1, 200.9, 150.2] }];
+
+/**
+ * 受控组件把 change 传出的值存到状态里再传回 setValue
+ *
+ * @param {object[]} internal 画布像素坐标的当前值
+ * @param {function} toExternal 导出时的转换
+ * @param {function} toInternal 设置时的转换
+ */
+function assertControlledRoundTrip(internal, toExternal, toInternal) {
+  const emitted = JSON.parse(JSON.stringify(toExternal(internal)));
+  assert.ok(externalValueEquals(emitted, internal, toExternal));
+  // 带版本号的 payload 升级后同样相同
+  assert.ok(externalValueEquals(parsePayload(toPayload(emitted)).value, internal, toExternal));
+  // 转换回画布坐标后有误差, 在画布坐标下比较会重绘并清空历史记录
+  assert.ok(!valueEquals(toInternal(emitted), internal));
+
+  // 修改后传回修改前的值时不相同, 需要重新设置
+  const edited = mapPoints(internal, (n, j) => (j ? n : n + 10));
+  assert.ok(!externalValueEquals(emitted, edited, toExternal));
+}
+
+test('decimals: 2 时传回 change 的值和当前值相同', () => {
+  assertControlledRoundTrip(
+    internalValue,
+    (value) => px2ratio(value, 300, 200, 2),
+    (value) => ratio2px(value, 300, 200),
+  );
+});
+
+test('imageSpace 时传回 change 的值和当前值相同', () => {
+  const background = { x: 12.5, y: 3, scaleX: 0.3, scaleY: 0.7 };
+  assertControlledRoundTrip(
+    internalValue,
+    (value) => stage2image(value, background),
+    (value) => image2stage(value, background),
+  );
+});
+
+test('updateGroup 修改或删除图组', () => {
+  const value = [{ id: 'a', points: square }, { id: 'b', points: square }];
+  updateGroup(value, 'a', 'locked', true);
+  assert.equal(value[0].locked, true);
+  updateGroup(value, 'b');
+  assert.deepEqual(value.map((n) => n.id), ['a']);
+  updateGroup(value, 'c', 'locked', true);
+  assert.equal(value.length, 1);
+});
+
+test('valueEquals 逐项比较', () => {
+  const a = [{ id: 'a', points: [1, 2], attributes: { x: [1] } }];
+  assert.ok(valueEquals(a, cloneValue(a)));
+  assert.ok(!valueEquals(a, [{ id: 'a', points: [1, 3], attributes: { x: [1] } }]));
+  assert.ok(!valueEquals(a, [{ id: 'a', points: [1, 2], attributes: { x: [2] } }]));
+  assert.ok(!valueEquals(a, null));
+});
+
+test('groupArea 和 groupContainsPoint', () => {
+  assert.equal(groupArea({ points: square }), 100);
+  assert.equal(groupArea({}), 0);
+  assert.ok(groupContainsPoint({ points: square }, 5, 5));
+  assert.ok(!groupContainsPoint({ points: square }, 15, 5));
+});
+
+test('validateValue 返回所有错误', () => {
+  assert.deepEqual(validateValue([{ id: 'a', points: square }], { minArea: 10 }), []);
+  const errors = validateValue([
+    { id: 'a', points: [0, 0, 10, 10, 10, 0, 0, 10] },
+    { id: 'b', points: square },
+    { id: 'c', points: [0, 'x'] },
+    null
+  ], { selfIntersection: true, minArea: 200 });
+  assert.deepEqual(
+    errors.map(({ id, reason }) => [id, reason]),
+    [['a', 'selfIntersection'], ['b', 'minArea'], ['c', 'points'], [null, 'type']],
+  );
+  assert.equal(validateValue({})[0].reason, 'type');
+});